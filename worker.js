@@ -18,6 +18,9 @@
  * - KV Namespace Binding : LINKS (Required / 必需)
  * - BASE_URL             : Custom Domain (Recommended, e.g. https://s.example.com)
  *                          短链域名 (推荐设置，如 https://s.example.com)，若不填则自动推断
+ * - DOMAINS              : Per-host settings as JSON, e.g. {"a.com": {"namespace": "a", "PAGE_TITLE": "A"}}
+ *                          Keys: namespace, BASE_URL, PAGE_TITLE, PAGE_ICON, PAGE_DESC, CORS_MODE, CORS_ORIGINS
+ *                          按域名的设置 (JSON)，namespace 为该域名独立的短码空间，其余未设置项沿用全局配置
  *
  * [Frontend UI / 前端界面]
  * - PAGE_TITLE           : Page Title (Default: Cloudflare ShortLink)
@@ -38,17 +41,113 @@
  *                          时间窗口，单位秒 (默认 60)
  * - RL_MAX_REQ           : Max requests per IP per window (Default: 10)
  *                          窗口内最大请求次数 (默认 10)
+ * - RL_BACKEND           : 'cache' (Default, Cache API, per colo) | 'do' (Durable Object RATE_LIMITER, accurate)
+ *                          'cache' (默认，Cache API，按机房计数) | 'do' (Durable Object，需绑定 RATE_LIMITER，计数准确)
+ * - BULK_MAX_ITEMS       : Max links per bulk request (Default: 100)
+ *                          批量创建单次最多条数 (默认 100)
+ * - BULK_ITEMS_PER_REQ   : Bulk items counted as one request by the rate limiter (Default: 10)
+ *                          批量创建时每多少条计为一次请求 (默认 10)
+ * - IMPORT_MAX_ROWS      : Max rows per /api/admin/import request (Default: 150)
+ *                          导入接口单次最多行数 (默认 150)
  *
  * [Advanced / 高级配置]
  * - DEDUP_TTL_SEC        : Deduplication Cache TTL (seconds), >0 to enable.
  *                          长链去重缓存时间(秒)，>0 启用 (减少 KV 写入)
+ * - IP_HASH_SALT         : Salt for the creator IP hash stored with each link
+ *                          短链记录中创建者 IP 哈希所用的盐
+ * - RESERVED_ALIASES     : Extra reserved words for custom aliases (Comma separated)
+ *                          额外的别名保留字 (逗号分隔)，内置已保留 short/healthz/api/admin
+ *
+ * [Short Codes / 短码生成]
+ * - CODE_LENGTH          : Length of generated codes, 3-32 (Default: 7), grows automatically on collisions
+ *                          生成短码的长度，3-32 (默认 7)，碰撞时自动加长
+ * - CODE_ALPHABET        : 'default' | 'lower' | 'alnum' | 'numeric' | 'words' (adjective-noun) | custom characters
+ *                          预设字母表、'words' (形容词-名词) 或自定义字符集 (仅 A-Z a-z 0-9 _ -)
+ * - CODE_SEQUENCE        : 'on' for sequential codes via Durable Object CODE_COUNTER (Default: off, guessable)
+ *                          设为 'on' 按递增序号生成短码，需绑定 CODE_COUNTER (默认关闭，序号可被枚举)
+ *
+ * [Password Links / 密码保护]
+ * - PWD_MAX_TRIES        : Wrong password attempts allowed per link per window (Default: 5), also /admin sign-ins per IP
+ *                          每个短链在窗口内允许的密码错误次数 (默认 5)，也用于 /admin 每个 IP 的登录失败次数
+ * - PWD_WINDOW_SEC       : Window for password attempts in seconds (Default: 300)
+ *                          密码尝试计数窗口，单位秒 (默认 300)
+ *
+ * [Analytics / 访问统计]
+ * - ANALYTICS            : 'on' to record clicks (Default: off, each click costs two KV writes)
+ *                          设为 'on' 记录访问 (默认关闭，每次访问消耗两次 KV 写入)
+ *                          A/B 分流的短链总会记录访问 (用于比较各变体)
+ * - STATS_RETENTION_DAYS : Days to keep click events (Default: 90)
+ *                          访问记录保留天数 (默认 90)
+ * - KV Namespace Binding : STATS (Optional), separate namespace for click events (Default: stored in LINKS)
+ *                          可选，单独存放访问记录的 KV (未绑定时写入 LINKS，短链列表、导出与维护都要翻过这些记录)
+ *
+ * [URL Policy / 目标地址策略]
+ * - ALLOW_HOSTS          : Only allow these destination hosts (Comma separated, * wildcard)
+ *                          仅允许这些目标域名 (逗号分隔，支持 * 通配)，不设置则不限制
+ * - BLOCK_HOSTS          : Reject these destination hosts (Comma separated, * wildcard)
+ *                          禁止的目标域名 (逗号分隔，支持 * 通配)
+ * - BLOCK_SHORTENERS     : 'off' to allow links to other URL shorteners (Default: on)
+ *                          设为 'off' 允许指向其他短链服务 (默认禁止)
+ * - ALLOW_PRIVATE_IPS    : 'on' to allow private/loopback destinations, e.g. intranet use (Default: off)
+ *                          设为 'on' 允许内网/回环地址，适合内网部署 (默认禁止)
+ *
+ * [Maintenance / 定时维护]  (requires a Cron Trigger / 需配置 Cron 触发器)
+ * - PROBE_LINKS          : 'on' to check destinations and flag 4xx/5xx links (Default: off)
+ *                          设为 'on' 定时探测目标地址，标记返回 4xx/5xx 的短链 (默认关闭)
+ * - PROBE_PER_RUN        : Destinations probed per cron run (Default: 20, Max: 40)
+ *                          每次定时任务最多探测的目标数 (默认 20，最大 40)
+ *
+ * [Preview / 跳转预览]
+ * - PREVIEW_MODE         : 'on' to show the preview page before every redirect (Default: off)
+ *                          设为 'on' 则所有短链跳转前先显示预览页 (默认关闭，也可按短链单独开启)
+ *
+ * [Redirect / 跳转]
+ * - REDIRECT_STATUS      : Default redirect status, 301 / 302 / 307 / 308 (Default: 302, can be set per link)
+ *                          默认跳转状态码 (默认 302，也可按短链单独设置)
+ * - REDIRECT_CACHE_SEC   : Cache-Control max-age for permanent (301/308) redirects (Default: 3600)
+ *                          永久跳转 (301/308) 的浏览器缓存秒数 (默认 3600)
+ * - NOINDEX              : 'on' to add X-Robots-Tag: noindex to redirects (Default: off)
+ *                          设为 'on' 在跳转响应中添加 X-Robots-Tag: noindex (默认关闭)
+ *                          有有效期/点击上限/密码/预览或开启 ANALYTICS 时，永久跳转自动降为 302/307 且不缓存
+ *
+ * [API Keys / API Key]
+ * - REQUIRE_API_KEY      : 'on' to require an API key for creating links (Default: off)
+ *                          设为 'on' 则创建短链必须携带 API Key (默认关闭)；Key 通过管理接口签发
+ *
+ * [Challenge / 人机验证]
+ * - CHALLENGE_MODE       : 'off' (Default) | 'turnstile' | 'pow' (proof of work), for creation without an API key
+ *                          'off' (默认) | 'turnstile' | 'pow' (工作量证明)，对不带 API Key 的创建请求生效
+ * - TURNSTILE_SITE_KEY   : Turnstile site key (shown on the landing page)
+ *                          Turnstile 站点密钥 (显示在首页)
+ * - TURNSTILE_SECRET_KEY : Turnstile secret key, required when CHALLENGE_MODE=turnstile
+ *                          Turnstile 私钥，CHALLENGE_MODE=turnstile 时必需
+ * - TURNSTILE_VERIFY_URL : Override the siteverify endpoint, e.g. a local stub for tests
+ *                          覆盖 siteverify 地址，例如测试时使用的本地桩服务
+ * - POW_SECRET           : Secret for signing proof-of-work challenges, required when CHALLENGE_MODE=pow
+ *                          工作量证明题目的签名密钥，CHALLENGE_MODE=pow 时必需
+ * - POW_DIFFICULTY       : Leading zero bits required, 1-24 (Default: 16, each extra bit doubles the work)
+ *                          要求的前导零位数，1-24 (默认 16，每多一位计算量翻倍)
+ *
+ * [Admin API / 管理接口]
+ * - ADMIN_TOKEN          : Bearer token for /api/links and login for /admin (Unset = admin API disabled)
+ *                          管理接口令牌，也用于登录 /admin 管理后台 (未设置则关闭管理接口与后台)
+ * - ADMIN_PASSPHRASE     : Optional extra passphrase for logging in to /admin
+ *                          可选，登录 /admin 时也可以使用的口令
  *
  * -----------------------------------------------------------------------------
  */
 
-addEventListener("fetch", (event) => {
-  event.respondWith(handle(event.request));
-});
+export default {
+  // ES Module 格式：bindings 与环境变量通过 env 传入，ctx.waitUntil 用于后台写入
+  fetch(request, env, ctx) {
+    return handle(request, env, ctx);
+  },
+
+  // Cron Triggers：定时清理与巡检 KV（见 wrangler.toml 中的 [triggers]）
+  scheduled(event, env, ctx) {
+    ctx.waitUntil(runMaintenance(env));
+  },
+};
 
 /* -------------------- 基础响应工具 -------------------- */
 
@@ -68,9 +167,108 @@ function text(msg, status = 200, extraHeaders) {
   return new Response(msg, { status, headers });
 }
 
-function getEnv() {
-  // Dashboard 经典脚本模式下，bindings/vars 通常挂到 globalThis
-  return globalThis;
+function html(body, status = 200, extraHeaders) {
+  const headers = { "content-type": "text/html; charset=utf-8" };
+  if (extraHeaders) {
+    for (const [k, v] of Object.entries(extraHeaders)) headers[k] = v;
+  }
+  return new Response(body, { status, headers });
+}
+
+/* -------------------- 多域名 -------------------- */
+
+// DOMAINS 为 JSON 对象：{ "<host>": { namespace, BASE_URL, PAGE_TITLE, ... } }。
+// 命中的 host 以 env 覆盖层的形式生效，其余设置沿用全局配置；未列出的 host 与之前完全相同
+const DOMAIN_SETTINGS = ["BASE_URL", "PAGE_TITLE", "PAGE_ICON", "PAGE_DESC", "CORS_MODE", "CORS_ORIGINS"];
+const NAMESPACE_RE = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// 黑名单、API Key 与维护状态全站共用，其余键（短链、去重、计数、访问记录）按命名空间隔离
+const SHARED_KEY_PREFIXES = ["B:", "K:", "M:"];
+
+// 返回 { ok, domains } 或 { ok: false, message }；wrangler.toml 中的 [vars] 也可以直接写成对象
+function parseDomains(raw) {
+  if (!raw) return { ok: true, domains: {} };
+  let map = raw;
+  if (typeof raw === "string") {
+    try {
+      map = JSON.parse(raw);
+    } catch {
+      return { ok: false, message: "DOMAINS must be a JSON object" };
+    }
+  }
+  if (!map || typeof map !== "object" || Array.isArray(map)) return { ok: false, message: "DOMAINS must be a JSON object" };
+
+  const domains = {};
+  for (const [host, cfg] of Object.entries(map)) {
+    if (!cfg || typeof cfg !== "object" || Array.isArray(cfg)) return { ok: false, message: `DOMAINS["${host}"] must be an object` };
+    for (const [k, v] of Object.entries(cfg)) {
+      if (k !== "namespace" && !DOMAIN_SETTINGS.includes(k)) return { ok: false, message: `DOMAINS["${host}"]: unknown setting ${k}` };
+      if (typeof v !== "string") return { ok: false, message: `DOMAINS["${host}"].${k} must be a string` };
+    }
+    if (cfg.namespace && !NAMESPACE_RE.test(cfg.namespace)) {
+      return { ok: false, message: `DOMAINS["${host}"].namespace must be 1-64 chars of A-Z a-z 0-9 _ . -` };
+    }
+    domains[host.trim().toLowerCase().replace(/\.$/, "")] = cfg;
+  }
+  return { ok: true, domains };
+}
+
+// 命名空间 ns 中的键存为 "@<ns>:<key>"；默认空间的 isLinkKey 因其含 ":" 不会把它们当作短码
+function namespacedKV(LINKS, ns) {
+  const prefix = `@${ns}:`;
+  const shared = (name) => SHARED_KEY_PREFIXES.some((p) => name.startsWith(p));
+  const key = (name) => (shared(name) ? name : prefix + name);
+
+  return {
+    // 原始 binding，供遍历所有命名空间的定时维护使用
+    raw: LINKS,
+    get: (name, opts) => LINKS.get(key(name), opts),
+    getWithMetadata: (name, opts) => LINKS.getWithMetadata(key(name), opts),
+    put: (name, value, opts) => LINKS.put(key(name), value, opts),
+    delete: (name) => LINKS.delete(key(name)),
+    async list(opts = {}) {
+      if (shared(opts.prefix || "")) return LINKS.list(opts);
+      const page = await LINKS.list({ ...opts, prefix: prefix + (opts.prefix || "") });
+      return { ...page, keys: page.keys.map((k) => ({ ...k, name: k.name.slice(prefix.length) })) };
+    },
+  };
+}
+
+// 原始 KV 键 -> { ns, name }，供遍历整个 KV 的定时维护使用
+function splitNamespacedKey(name) {
+  const m = /^@([^:]+):([\s\S]*)$/.exec(name);
+  return m ? { ns: m[1], name: m[2] } : { ns: "", name };
+}
+
+// 按请求 host 生成该域名的 env；未设置 BASE_URL 时使用请求的域名本身，而不是全局 BASE_URL
+function domainEnv(env, host) {
+  const parsed = parseDomains(env.DOMAINS);
+  if (!parsed.ok) return parsed;
+  const cfg = parsed.domains[host.toLowerCase()];
+  if (!cfg) return { ok: true, env };
+
+  const out = Object.create(env);
+  out.BASE_URL = "";
+  for (const k of DOMAIN_SETTINGS) {
+    if (cfg[k] !== undefined) out[k] = cfg[k];
+  }
+  if (cfg.namespace && env.LINKS) out.LINKS = namespacedKV(env.LINKS, cfg.namespace);
+  if (cfg.namespace && env.STATS) out.STATS = namespacedKV(env.STATS, cfg.namespace);
+  return { ok: true, env: out };
+}
+
+// DOMAINS 中的全部域名（含各自的 BASE_URL），用于拒绝指向本服务的目标地址
+function domainHosts(env) {
+  const parsed = parseDomains(env.DOMAINS);
+  if (!parsed.ok) return [];
+  const hosts = [];
+  for (const [host, cfg] of Object.entries(parsed.domains)) {
+    hosts.push(host);
+    try {
+      if (cfg.BASE_URL) hosts.push(new URL(cfg.BASE_URL).hostname);
+    } catch {}
+  }
+  return hosts;
 }
 
 /* -------------------- CORS（支持 open/list/off） -------------------- */
@@ -90,6 +288,9 @@ function getCorsAllowlist(env) {
   );
 }
 
+// 允许跨域脚本读取的响应头（默认只能读到 Content-Type 等少数几个）
+const CORS_EXPOSE_HEADERS = "Location, Retry-After, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, x-rl-reset-in, x-rl-remaining";
+
 function withCors(req, resp, env) {
   const mode = corsMode(env);
 
@@ -101,10 +302,11 @@ function withCors(req, resp, env) {
   if (mode === "open") {
     resp.headers.set("Access-Control-Allow-Origin", "*");
     resp.headers.set("Access-Control-Allow-Credentials", "false");
-    resp.headers.set("Access-Control-Allow-Methods", "POST, OPTIONS");
+    resp.headers.set("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
     const reqHdr = req.headers.get("Access-Control-Request-Headers");
     resp.headers.set("Access-Control-Allow-Headers", reqHdr ? reqHdr : "Content-Type");
     resp.headers.set("Access-Control-Max-Age", "86400");
+    resp.headers.set("Access-Control-Expose-Headers", CORS_EXPOSE_HEADERS);
     return resp;
   }
 
@@ -116,25 +318,16 @@ function withCors(req, resp, env) {
   resp.headers.set("Access-Control-Allow-Origin", origin);
   resp.headers.set("Vary", "Origin");
   resp.headers.set("Access-Control-Allow-Credentials", "false");
-  resp.headers.set("Access-Control-Allow-Methods", "POST, OPTIONS");
+  resp.headers.set("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
   const reqHdr = req.headers.get("Access-Control-Request-Headers");
   resp.headers.set("Access-Control-Allow-Headers", reqHdr ? reqHdr : "Content-Type");
   resp.headers.set("Access-Control-Max-Age", "86400");
+  resp.headers.set("Access-Control-Expose-Headers", CORS_EXPOSE_HEADERS);
   return resp;
 }
 
 /* -------------------- 工具函数 -------------------- */
 
-function genCode(len = 7) {
-  // 排除易混淆字符（0/O, 1/l/I 等）
-  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789";
-  const bytes = new Uint8Array(len);
-  crypto.getRandomValues(bytes);
-  let out = "";
-  for (let i = 0; i < len; i++) out += chars[bytes[i] % chars.length];
-  return out;
-}
-
 // 支持标准 Base64 与 URL-safe Base64
 function base64ToUtf8(b64) {
   let s = (b64 || "").trim();
@@ -156,6 +349,206 @@ function isHttpUrl(u) {
   }
 }
 
+// 在原始字符串上拆出 URL 的查询串（不含 ?）与 #hash，不经过 URL 解析，保证其余字节原样保留
+function splitUrl(url) {
+  const h = url.indexOf("#");
+  const hash = h < 0 ? "" : url.slice(h);
+  const head = h < 0 ? url : url.slice(0, h);
+  const q = head.indexOf("?");
+  return { base: q < 0 ? head : head.slice(0, q), query: q < 0 ? "" : head.slice(q + 1), hash };
+}
+
+// 原始查询串中一段 "k=v" 的参数名，按表单编码解码（+ 为空格）
+function rawParamName(segment) {
+  const name = segment.split("=", 1)[0].replace(/\+/g, " ");
+  try {
+    return decodeURIComponent(name);
+  } catch {
+    return name;
+  }
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+// 表单中的布尔值是 "1"/"true"/"on" 等字符串，JSON 中是 true/false；无法识别返回 null
+function parseBool(raw) {
+  if (raw === true || raw === false) return raw;
+  const s = String(raw).trim().toLowerCase();
+  if (["1", "true", "on", "yes"].includes(s)) return true;
+  if (["0", "false", "off", "no", ""].includes(s)) return false;
+  return null;
+}
+
+/* -------------------- 短码生成 -------------------- */
+
+// 预设字母表；default 排除易混淆字符（0/O, 1/l/I 等），lower 同样排除 l/o/0/1
+const CODE_ALPHABETS = {
+  default: "ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789",
+  lower: "abcdefghijkmnpqrstuvwxyz23456789",
+  alnum: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789",
+  numeric: "0123456789",
+};
+
+// CODE_ALPHABET=words 时生成 "形容词-名词" 形式的短码；两个列表都是 64 个词
+const CODE_WORDS_ADJ = [
+  "able", "acid", "aged", "airy", "ample", "bold", "brave", "brief", "bright", "brisk", "calm",
+  "clean", "clear", "clever", "cool", "crisp", "curly", "dark", "deep", "eager", "early", "easy",
+  "fair", "fancy", "fast", "fine", "firm", "fresh", "fuzzy", "glad", "grand", "great", "green",
+  "happy", "hardy", "jolly", "keen", "kind", "light", "lively", "loud", "lucky", "merry", "mild",
+  "neat", "nice", "noble", "proud", "quick", "quiet", "rapid", "ready", "rich", "royal", "shiny",
+  "sleek", "smart", "solid", "sunny", "swift", "tidy", "warm", "wise", "witty",
+];
+
+const CODE_WORDS_NOUN = [
+  "ant", "bear", "bee", "bird", "boat", "cake", "cat", "cloud", "comet", "crab", "crow", "deer",
+  "dog", "dove", "duck", "eagle", "elk", "fern", "finch", "fish", "fox", "frog", "goat", "hawk",
+  "hill", "horse", "lake", "lark", "leaf", "lion", "lynx", "maple", "moon", "moth", "mouse", "newt",
+  "oak", "otter", "owl", "panda", "pear", "pine", "plum", "pony", "quail", "rain", "raven", "river",
+  "robin", "rose", "seal", "shark", "sheep", "snail", "star", "stone", "swan", "tiger", "toad",
+  "tree", "trout", "tulip", "whale", "wolf",
+];
+
+// 同一长度连续碰撞几次后加长一位；总尝试次数上限
+const CODE_TRIES_PER_LENGTH = 3;
+const CODE_MAX_TRIES = 20;
+
+function codeLength(env) {
+  return Math.min(32, Math.max(3, parseInt(env.CODE_LENGTH || "7", 10) || 7));
+}
+
+// 预设名，或自定义字符集（仅 A-Z a-z 0-9 _ -，至少 2 个不同字符）；无效时使用默认字母表
+function codeAlphabet(env) {
+  const raw = String(env.CODE_ALPHABET || "default").trim();
+  const preset = raw.toLowerCase();
+  if (preset === "words") return "words";
+  if (CODE_ALPHABETS[preset]) return CODE_ALPHABETS[preset];
+  const chars = [...new Set(raw)].join("");
+  return chars.length >= 2 && /^[A-Za-z0-9_-]+$/.test(chars) ? chars : CODE_ALPHABETS.default;
+}
+
+// 拒绝采样：丢弃落在 256 % n 余数区间内的字节，避免取模偏差（n 不超过 256）
+function randomIndexes(count, n) {
+  const limit = 256 - (256 % n);
+  const out = [];
+  while (out.length < count) {
+    for (const b of crypto.getRandomValues(new Uint8Array(count * 2))) {
+      if (b < limit) out.push(b % n);
+      if (out.length === count) break;
+    }
+  }
+  return out;
+}
+
+function genCode(alphabet, len) {
+  return randomIndexes(len, alphabet.length)
+    .map((i) => alphabet[i])
+    .join("");
+}
+
+// digits > 0 时在末尾追加随机数字，用于碰撞后加长
+function genWordCode(digits) {
+  const [a, n] = randomIndexes(2, 64);
+  const code = `${CODE_WORDS_ADJ[a]}-${CODE_WORDS_NOUN[n]}`;
+  return digits ? `${code}-${genCode(CODE_ALPHABETS.numeric, digits)}` : code;
+}
+
+function sequenceEnabled(env) {
+  return String(env.CODE_SEQUENCE || "off").toLowerCase() === "on" && !!env.CODE_COUNTER;
+}
+
+// 序号转为 base-N 短码；加上 N² 的偏移，使最短的短码也有 3 位（CODE_RE 的下限）
+function encodeSequence(n, alphabet) {
+  const base = alphabet.length;
+  let x = n + base * base;
+  let out = "";
+  while (x > 0) {
+    out = alphabet[x % base] + out;
+    x = Math.floor(x / base);
+  }
+  return out;
+}
+
+async function nextSequence(env) {
+  const stub = env.CODE_COUNTER.get(env.CODE_COUNTER.idFromName("codes"));
+  const resp = await stub.fetch("https://code-counter.local/", { method: "POST" });
+  if (!resp.ok) throw new Error(`CodeCounter responded ${resp.status}`);
+  return (await resp.json()).n;
+}
+
+// 全局递增序号；请求串行处理，不会发出重复的序号
+export class CodeCounter {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch() {
+    const n = ((await this.state.storage.get("n")) || 0) + 1;
+    await this.state.storage.put("n", n);
+    return Response.json({ n });
+  }
+}
+
+// 分配一个未被占用的短码，失败返回 null。随机短码连续碰撞时逐步加长而不是直接放弃；
+// 开启 CODE_SEQUENCE 时按序号生成（words 不支持），Durable Object 不可用时退回随机短码
+async function allocateCode(LINKS, env) {
+  const alphabet = codeAlphabet(env);
+  const len = codeLength(env);
+  const reserved = getReservedAliases(env);
+  let sequence = sequenceEnabled(env) && alphabet !== "words";
+
+  for (let i = 0; i < CODE_MAX_TRIES; i++) {
+    let code = null;
+    if (sequence) {
+      try {
+        code = encodeSequence(await nextSequence(env), alphabet);
+      } catch {
+        sequence = false;
+      }
+    }
+    if (!code) {
+      const grow = Math.floor(i / CODE_TRIES_PER_LENGTH);
+      code = alphabet === "words" ? genWordCode(grow ? grow + 1 : 0) : genCode(alphabet, Math.min(64, len + grow));
+    }
+    // 自定义字母表可能生成 api、admin 之类的保留字
+    if (reserved.has(code.toLowerCase()) || (await LINKS.get(code))) continue;
+    return code;
+  }
+  return null;
+}
+
+/* -------------------- 自定义别名 -------------------- */
+
+// 与跳转路由 /:code 的匹配规则保持一致
+const CODE_RE = /^[A-Za-z0-9_-]{3,64}$/;
+
+// 内置路由及预留的管理路由，别名不可占用
+const BUILTIN_RESERVED = ["short", "healthz", "api", "admin"];
+
+function getReservedAliases(env) {
+  const set = new Set(BUILTIN_RESERVED);
+  for (const s of String(env.RESERVED_ALIASES || "").split(",")) {
+    const w = s.trim().toLowerCase();
+    if (w) set.add(w);
+  }
+  return set;
+}
+
+async function checkAlias(LINKS, env, alias) {
+  if (!CODE_RE.test(alias)) {
+    return { ok: false, status: 400, error: "ALIAS_INVALID", message: "Alias must be 3-64 chars of A-Z a-z 0-9 _ -" };
+  }
+  // 保留字按不区分大小写比较，避免 /Admin 之类的变体
+  if (getReservedAliases(env).has(alias.toLowerCase())) {
+    return { ok: false, status: 409, error: "ALIAS_RESERVED", message: "Alias is reserved" };
+  }
+  if (await LINKS.get(alias)) {
+    return { ok: false, status: 409, error: "ALIAS_TAKEN", message: "Alias already in use" };
+  }
+  return { ok: true };
+}
+
 function getClientIp(req) {
   return (
     req.headers.get("cf-connecting-ip") ||
@@ -164,18 +557,65 @@ function getClientIp(req) {
   );
 }
 
-/* -------------------- 防滥用：Cache API 限流 -------------------- */
+/* -------------------- 防滥用：限流（Cache API / Durable Object） -------------------- */
+
+function rlWindowSec(env) {
+  return Math.max(10, parseInt(env.RL_WINDOW_SEC || "60", 10) || 60);
+}
+
+function rlMaxReq(env) {
+  return Math.max(1, parseInt(env.RL_MAX_REQ || "10", 10) || 10);
+}
+
+// 同时输出标准的 RateLimit-* 头与旧版的 x-rl-* 头
+function rlHeaders(rl) {
+  const h = {
+    "ratelimit-limit": String(rl.limit),
+    "ratelimit-remaining": String(rl.remaining),
+    "ratelimit-reset": String(rl.resetIn),
+    "x-rl-reset-in": String(rl.resetIn),
+    "x-rl-remaining": String(rl.remaining),
+  };
+  if (!rl.ok) h["retry-after"] = String(rl.resetIn);
+  return h;
+}
+
+function rlBackend(env) {
+  return String(env.RL_BACKEND || "cache").toLowerCase() === "do" && env.RATE_LIMITER ? "do" : "cache";
+}
+
+// 按 scope + key 计数的限流，后端由 RL_BACKEND 选择。opts（均可选）：
+//   scope     计数空间，默认 "short"
+//   key       计数对象，默认客户端 IP
+//   windowSec / maxReq  默认取 RL_WINDOW_SEC / RL_MAX_REQ
+//   cost      本次消耗的次数，默认 1；传 0 只检查不计数
+// 返回 { ok, limit, remaining, resetIn }；ok=false 时 resetIn 即建议的 Retry-After
+async function rateLimit(req, env, opts = {}) {
+  const params = {
+    scope: opts.scope || "short",
+    key: opts.key || getClientIp(req),
+    windowSec: opts.windowSec || rlWindowSec(env),
+    maxReq: opts.maxReq || rlMaxReq(env),
+    cost: opts.cost === undefined ? 1 : opts.cost,
+  };
 
-async function rateLimit(req, env) {
-  const windowSec = Math.max(10, parseInt(env.RL_WINDOW_SEC || "60", 10) || 60);
-  const maxReq = Math.max(1, parseInt(env.RL_MAX_REQ || "10", 10) || 10);
+  if (rlBackend(env) === "do") {
+    try {
+      return await rateLimitDo(env, params);
+    } catch {
+      // Durable Object 暂时不可用时退回 Cache API，不影响正常请求
+    }
+  }
+  return rateLimitCache(params);
+}
 
-  const ip = getClientIp(req);
+// Cache API 版本：按固定窗口计数，先读后写、按机房隔离，并发时可能略超上限
+async function rateLimitCache({ scope, key, windowSec, maxReq, cost }) {
   const now = Math.floor(Date.now() / 1000);
   const bucket = Math.floor(now / windowSec);
 
   // 这个 URL 只是作为 cache key 使用，不会真实请求外网
-  const keyUrl = `https://ratelimit.local/short/${bucket}/${encodeURIComponent(ip)}`;
+  const keyUrl = `https://ratelimit.local/${scope}/${bucket}/${encodeURIComponent(key)}`;
   const cache = caches.default;
   const cacheKey = new Request(keyUrl);
 
@@ -185,11 +625,14 @@ async function rateLimit(req, env) {
 
   const resetIn = (bucket + 1) * windowSec - now;
 
-  if (count >= maxReq) {
-    return { ok: false, remaining: 0, resetIn };
+  if (count >= maxReq || count + cost > maxReq) {
+    return { ok: false, limit: maxReq, remaining: Math.max(0, maxReq - count), resetIn };
+  }
+  if (cost === 0) {
+    return { ok: true, limit: maxReq, remaining: maxReq - count, resetIn };
   }
 
-  count += 1;
+  count += cost;
   const ttl = Math.max(1, resetIn);
 
   await cache.put(
@@ -202,228 +645,4237 @@ async function rateLimit(req, env) {
     })
   );
 
-  return { ok: true, remaining: maxReq - count, resetIn };
+  return { ok: true, limit: maxReq, remaining: maxReq - count, resetIn };
 }
 
-/* -------------------- 可选：长链去重（默认关闭） -------------------- */
-
-async function sha1Hex(input) {
-  const buf = new TextEncoder().encode(input);
-  const digest = await crypto.subtle.digest("SHA-1", buf);
-  const bytes = new Uint8Array(digest);
-  let hex = "";
-  for (const b of bytes) hex += b.toString(16).padStart(2, "0");
-  return hex;
+// Durable Object 版本：每个 scope + key 一个实例，请求串行处理，计数准确
+async function rateLimitDo(env, { scope, key, windowSec, maxReq, cost }) {
+  const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(`${scope}:${key}`));
+  const resp = await stub.fetch("https://rate-limiter.local/", {
+    method: "POST",
+    body: JSON.stringify({ windowSec, maxReq, cost }),
+  });
+  if (!resp.ok) throw new Error(`RateLimiter responded ${resp.status}`);
+  return resp.json();
 }
 
-function dedupTtl(env) {
-  return parseInt(env.DEDUP_TTL_SEC || "0", 10) || 0;
-}
+// 滑动窗口计数：上一个窗口的计数按剩余时间比例折算后与当前窗口相加
+export class RateLimiter {
+  constructor(state) {
+    this.state = state;
+  }
 
-async function getDedupCode(LINKS, env, longUrl) {
-  const ttl = dedupTtl(env);
-  if (ttl <= 0) return null;
-  const h = await sha1Hex(longUrl);
-  return await LINKS.get(`D:${h}`);
-}
+  async fetch(request) {
+    const { windowSec, maxReq, cost } = await request.json();
+    const win = windowSec * 1000;
+    const now = Date.now();
+    const start = Math.floor(now / win) * win;
 
-async function putDedupCode(LINKS, env, longUrl, code) {
-  const ttl = dedupTtl(env);
-  if (ttl <= 0) return;
-  const h = await sha1Hex(longUrl);
-  await LINKS.put(`D:${h}`, code, { expirationTtl: ttl });
-}
+    let w = (await this.state.storage.get("w")) || { start, prev: 0, curr: 0 };
+    if (w.start !== start) w = { start, prev: w.start === start - win ? w.curr : 0, curr: 0 };
 
-/* -------------------- 主逻辑 -------------------- */
+    const count = w.prev * (1 - (now - start) / win) + w.curr;
+    // cost=0 只检查：判断再来一次请求是否会超限
+    const ok = count + Math.max(cost, 1) <= maxReq;
 
-async function handle(req) {
-  const env = getEnv();
-  const LINKS = env.LINKS;
+    if (ok && cost > 0) {
+      w.curr += cost;
+      await this.state.storage.put("w", w);
+      // 两个窗口后计数已无意义，届时清空存储
+      await this.state.storage.setAlarm(start + 2 * win);
+    }
 
-  const u = new URL(req.url);
-  const path = u.pathname;
+    const used = ok ? count + cost : count;
+    return Response.json({
+      ok,
+      limit: maxReq,
+      remaining: Math.max(0, Math.floor(maxReq - used)),
+      resetIn: Math.max(1, Math.ceil(this.waitMs(w, now, win, maxReq, Math.max(cost, 1)) / 1000)),
+    });
+  }
 
-  // 健康检查
-  if (path === "/healthz") return text("ok");
+  // 距离能再消耗 need 次还要等多久；未超限时为当前窗口的剩余时间
+  waitMs(w, now, win, maxReq, need) {
+    const end = w.start + win;
+    const count = w.prev * (1 - (now - w.start) / win) + w.curr;
+    if (count + need <= maxReq) return end - now;
+    // 当前窗口内随上一窗口权重下降即可满足
+    if (w.curr + need <= maxReq && w.prev > 0) return ((count + need - maxReq) * win) / w.prev;
+    // 要等到下一个窗口，本窗口的计数成为上一窗口后继续衰减
+    return end - now + (Math.max(0, w.curr + need - maxReq) * win) / Math.max(w.curr, 1);
+  }
 
-  // CORS 预检：浏览器会先发 OPTIONS /short
-  if (path === "/short" && req.method === "OPTIONS") {
-    return withCors(req, new Response(null, { status: 204 }), env);
+  async alarm() {
+    await this.state.storage.deleteAll();
   }
+}
 
-  // 创建短链
-  if (path === "/short" && req.method === "POST") {
-    if (!LINKS) {
-      return withCors(req, json({ Code: 0, Message: "KV binding LINKS not found" }, 500), env);
-    }
+/* -------------------- 短链记录 -------------------- */
 
-    // 限流
-    const rl = await rateLimit(req, env);
-    if (!rl.ok) {
-      const resp = json(
-        { Code: 0, Message: "Rate limited. Please try again later." },
-        429,
-        { "x-rl-reset-in": String(rl.resetIn), "x-rl-remaining": String(rl.remaining) }
-      );
-      return withCors(req, resp, env);
-    }
+// KV 值为 JSON 记录：
+//   { v: 1, url, createdAt, ipHash, owner, title, tags, expiresAt, maxClicks, pwd, flags }
+// metadata 中同步保存 { v, exp, max }，list 时无需读取值即可判断版本与有效期。
+// 旧版本的值是长链接字符串本身（有效期等在 metadata 中），读取时自动兼容。
+const LINK_VERSION = 1;
 
-    // 解析表单（兼容 multipart/form-data 与 x-www-form-urlencoded）
-    let fd;
+function parseLink(value, metadata) {
+  const meta = metadata || {};
+  if (value.startsWith("{")) {
     try {
-      fd = await req.formData();
-    } catch {
-      return withCors(req, json({ Code: 0, Message: "Invalid form-data" }, 400), env);
-    }
+      const r = JSON.parse(value);
+      if (r && r.v === LINK_VERSION && typeof r.url === "string") {
+        return {
+          v: r.v,
+          url: r.url,
+          createdAt: r.createdAt || 0,
+          ipHash: r.ipHash || "",
+          owner: r.owner || "",
+          title: r.title || "",
+          tags: Array.isArray(r.tags) ? r.tags : [],
+          expiresAt: r.expiresAt || 0,
+          maxClicks: r.maxClicks || 0,
+          pwd: r.pwd || null,
+          rules: Array.isArray(r.rules) ? r.rules : [],
+          variants: Array.isArray(r.variants) ? r.variants : [],
+          flags: r.flags || {},
+        };
+      }
+    } catch {}
+  }
 
-    const longUrlB64 = fd.get("longUrl");
-    if (typeof longUrlB64 !== "string" || !longUrlB64.trim()) {
-      return withCors(req, json({ Code: 0, Message: "Missing longUrl" }, 400), env);
-    }
-    if (longUrlB64.length > 8192) {
-      return withCors(req, json({ Code: 0, Message: "longUrl too large" }, 413), env);
-    }
+  // 旧格式（v0）：值即长链接
+  return {
+    v: 0,
+    url: value,
+    createdAt: 0,
+    ipHash: "",
+    owner: "",
+    title: "",
+    tags: [],
+    expiresAt: meta.exp || 0,
+    maxClicks: meta.max || 0,
+    pwd: null,
+    rules: [],
+    variants: [],
+    flags: {},
+  };
+}
 
-    // base64 解码
-    let longUrl;
-    try {
-      longUrl = base64ToUtf8(longUrlB64);
-    } catch {
-      return withCors(req, json({ Code: 0, Message: "Invalid base64 longUrl" }, 400), env);
-    }
+async function getLink(LINKS, code) {
+  const { value, metadata } = await LINKS.getWithMetadata(code);
+  if (!value) return null;
+  return parseLink(value, metadata);
+}
 
-    if (longUrl.length > 8192) {
-      return withCors(req, json({ Code: 0, Message: "Decoded URL too large" }, 413), env);
-    }
-    if (!isHttpUrl(longUrl)) {
-      return withCors(req, json({ Code: 0, Message: "Decoded longUrl is not a valid http/https URL" }, 400), env);
+// 存储用的 v1 记录，省略空字段（导出也使用这个格式）
+function linkRecord(link) {
+  const rec = { v: LINK_VERSION, url: link.url, createdAt: link.createdAt || 0 };
+  if (link.ipHash) rec.ipHash = link.ipHash;
+  if (link.owner) rec.owner = link.owner;
+  if (link.title) rec.title = link.title;
+  if (link.tags && link.tags.length) rec.tags = link.tags;
+  if (link.expiresAt) rec.expiresAt = link.expiresAt;
+  if (link.maxClicks) rec.maxClicks = link.maxClicks;
+  if (link.pwd) rec.pwd = link.pwd;
+  if (link.rules && link.rules.length) rec.rules = link.rules;
+  if (link.variants && link.variants.length) rec.variants = link.variants;
+  if (link.flags && Object.keys(link.flags).length) rec.flags = link.flags;
+  return rec;
+}
+
+async function putLink(LINKS, code, link) {
+  const rec = linkRecord(link);
+  const meta = { v: LINK_VERSION };
+  const opts = { metadata: meta };
+  if (rec.expiresAt) {
+    meta.exp = rec.expiresAt;
+    opts.expiration = rec.expiresAt + GONE_KEEP_SEC;
+  }
+  if (rec.maxClicks) meta.max = rec.maxClicks;
+  await LINKS.put(code, JSON.stringify(rec), opts);
+}
+
+// 管理接口输出格式
+function linkJson(code, link) {
+  return {
+    code,
+    url: link.url,
+    owner: link.owner || null,
+    title: link.title,
+    tags: link.tags,
+    createdAt: link.createdAt || null,
+    expiresAt: link.expiresAt || null,
+    maxClicks: link.maxClicks || null,
+    protected: !!link.pwd,
+    rules: link.rules,
+    variants: link.variants,
+    flags: link.flags,
+    version: link.v,
+  };
+}
+
+// 解析 title / tags；tags 可以是数组或逗号分隔的字符串
+function parseLinkInfo(get) {
+  const titleRaw = get("title");
+  const tagsRaw = get("tags");
+  const out = { ok: true };
+
+  if (titleRaw !== null && titleRaw !== undefined) {
+    if (typeof titleRaw !== "string" || titleRaw.length > 200) {
+      return { ok: false, error: "INVALID_TITLE", message: "title must be a string of at most 200 chars" };
     }
+    out.title = titleRaw.trim();
+  }
 
-    // 可选去重：复用已有短码（若启用）
-    let code = await getDedupCode(LINKS, env, longUrl);
-    if (code) {
-      // 防止去重映射存在但 code->url 已不存在的极端情况
-      const exists = await LINKS.get(code);
-      if (!exists) code = null;
+  if (tagsRaw !== null && tagsRaw !== undefined) {
+    const list = Array.isArray(tagsRaw) ? tagsRaw : String(tagsRaw).split(",");
+    const tags = [...new Set(list.map((t) => String(t).trim()).filter(Boolean))];
+    if (tags.length > 10 || tags.some((t) => t.length > 32)) {
+      return { ok: false, error: "INVALID_TAGS", message: "At most 10 tags, each at most 32 chars" };
     }
+    out.tags = tags;
+  }
 
-    // 分配新短码
-    if (!code) {
-      for (let i = 0; i < 6; i++) {
-        const c = genCode(7);
-        const exists = await LINKS.get(c);
-        if (!exists) {
-          code = c;
-          break;
-        }
-      }
-      if (!code) {
-        return withCors(req, json({ Code: 0, Message: "Failed to allocate code" }, 500), env);
-      }
+  return out;
+}
 
-      // 写入 KV：code -> longUrl
-      await LINKS.put(code, longUrl);
+// 创建者 IP 只保存加盐哈希
+async function hashIp(env, ip) {
+  return (await sha1Hex(`${env.IP_HASH_SALT || ""}|${ip}`)).slice(0, 16);
+}
 
-      // 去重映射：longUrl -> code（可选）
-      await putDedupCode(LINKS, env, longUrl, code);
-    }
+// 将一页旧格式记录改写为 v1；返回下一页 cursor，由调用方循环
+async function migrateLinks(LINKS, cursor) {
+  const page = await LINKS.list({ cursor, limit: 100 });
+  let scanned = 0;
+  let migrated = 0;
 
-    // ShortUrl 的 base：优先 BASE_URL，否则回退到当前 host
-    const base = String(env.BASE_URL || `${u.protocol}//${u.host}`).replace(/\/+$/, "");
-    const shortUrl = `${base}/${code}`;
+  for (const k of page.keys) {
+    if (!isLinkKey(k.name)) continue;
+    scanned++;
+    if (k.metadata && k.metadata.v === LINK_VERSION) continue;
 
-    const resp = json(
-      { Code: 1, ShortUrl: shortUrl },
-      200,
-      { "x-rl-reset-in": String(rl.resetIn), "x-rl-remaining": String(rl.remaining) }
-    );
-    return withCors(req, resp, env);
+    const link = await getLink(LINKS, k.name);
+    if (!link || link.v === LINK_VERSION) continue;
+    await putLink(LINKS, k.name, link);
+    migrated++;
   }
 
-  // Landing Page: GET /
-  if (path === "/" && req.method === "GET") {
-    return new Response(landingHtml(env), {
-      headers: { "content-type": "text/html; charset=utf-8" },
-    });
-  }
+  return { scanned, migrated, cursor: page.list_complete ? null : page.cursor };
+}
 
-  // 跳转短链：GET/HEAD /:code
-  const m = path.match(/^\/([A-Za-z0-9_-]{3,64})$/);
-  if ((req.method === "GET" || req.method === "HEAD") && m) {
-    if (!LINKS) return text("KV binding LINKS not found", 500);
+/* -------------------- 有效期与点击上限 -------------------- */
 
-    const code = m[1];
-    const longUrl = await LINKS.get(code);
-    if (!longUrl) return text("Not Found", 404);
+// 到期后 KV 记录再保留一段时间，期间访问返回 410 而不是 404
+const GONE_KEEP_SEC = 30 * 86400;
+
+// 点击计数：N:<code>。KV 非原子，高并发下可能略微超出上限
+async function getClicks(LINKS, code) {
+  return parseInt((await LINKS.get(`N:${code}`)) || "0", 10) || 0;
+}
+
+async function putClicks(LINKS, code, link, count) {
+  const opts = link.expiresAt ? { expiration: link.expiresAt + GONE_KEEP_SEC } : {};
+  await LINKS.put(`N:${code}`, String(count), opts);
+}
+
+async function bumpClicks(LINKS, code, link) {
+  await putClicks(LINKS, code, link, (await getClicks(LINKS, code)) + 1);
+}
+
+// 返回 "ok" | "expired" | "exhausted"
+function linkState(link, clicks) {
+  if (link.flags.disabled) return "disabled";
+  if (link.expiresAt && Math.floor(Date.now() / 1000) >= link.expiresAt) return "expired";
+  if (link.maxClicks && clicks >= link.maxClicks) return "exhausted";
+  return "ok";
+}
+
+// Unix 秒级时间戳或 ISO 8601 日期，无效时返回 0
+function parseTimestamp(raw) {
+  const n = Number(raw);
+  const t = Number.isFinite(n) ? n : Math.floor(Date.parse(String(raw)) / 1000);
+  return Number.isInteger(t) && t > 0 ? t : 0;
+}
+
+// 解析 expiresIn(秒) / expiresAt(Unix 秒或 ISO 8601) / maxClicks；get(name) 返回字段原值
+function parseLimits(get) {
+  const has = (v) => v !== null && v !== undefined && String(v).trim() !== "";
+  const now = Math.floor(Date.now() / 1000);
+  const inRaw = get("expiresIn");
+  const atRaw = get("expiresAt");
+  const maxRaw = get("maxClicks");
 
-    return Response.redirect(longUrl, 302);
+  let expiresAt = 0;
+  if (has(inRaw) && has(atRaw)) {
+    return { ok: false, error: "INVALID_EXPIRY", message: "Use either expiresIn or expiresAt, not both" };
+  }
+  if (has(inRaw)) {
+    const sec = Number(inRaw);
+    if (!Number.isInteger(sec) || sec <= 0) {
+      return { ok: false, error: "INVALID_EXPIRY", message: "expiresIn must be a positive integer (seconds)" };
+    }
+    expiresAt = now + sec;
+  } else if (has(atRaw)) {
+    const t = parseTimestamp(atRaw);
+    if (t <= now) {
+      return { ok: false, error: "INVALID_EXPIRY", message: "expiresAt must be a future Unix timestamp or ISO 8601 date" };
+    }
+    expiresAt = t;
   }
 
-  return text("Not Found", 404);
+  let maxClicks = 0;
+  if (has(maxRaw)) {
+    const n = Number(maxRaw);
+    if (!Number.isInteger(n) || n <= 0) {
+      return { ok: false, error: "INVALID_MAX_CLICKS", message: "maxClicks must be a positive integer" };
+    }
+    maxClicks = n;
+  }
+
+  return { ok: true, expiresAt, maxClicks };
 }
 
-/* -------------------- 前端页面模板 -------------------- */
+/* -------------------- 密码保护 -------------------- */
 
-function landingHtml(env) {
-  const title = env.PAGE_TITLE || "Cloudflare ShortLink";
-  const icon = env.PAGE_ICON || "🔗";
-  const desc = env.PAGE_DESC || "Simple, fast, and secure short links.";
-  const repo = "https://github.com/Aethersailor/cf-shortlink-worker";
+// Workers 的 PBKDF2 迭代次数上限为 100000
+const PBKDF2_ITER = 100000;
 
-  // i18n dictionaries
-  const i18n = {
-    "en": {
-      "title": title,
-      "desc": desc,
-      "longLabel": "Long Link",
+function bytesToB64(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin);
+}
+
+function b64ToBytes(b64) {
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+async function pbkdf2(password, salt, iterations) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256);
+  return new Uint8Array(bits);
+}
+
+// 存入记录的 pwd 字段：{ s: 盐, h: 哈希, i: 迭代次数 }，均不含明文
+async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await pbkdf2(password, salt, PBKDF2_ITER);
+  return { s: bytesToB64(salt), h: bytesToB64(hash), i: PBKDF2_ITER };
+}
+
+// 记录损坏（如导入的异常数据）时按密码错误处理，不让解锁请求返回 500
+async function verifyPassword(password, pwd) {
+  if (typeof password !== "string" || !password) return false;
+  try {
+    const hash = await pbkdf2(password, b64ToBytes(pwd.s), pwd.i);
+    return safeEqual(bytesToB64(hash), pwd.h);
+  } catch {
+    return false;
+  }
+}
+
+function parsePassword(raw) {
+  if (raw === null || raw === undefined || raw === "") return { ok: true, password: "" };
+  if (typeof raw !== "string" || raw.length > 128) {
+    return { ok: false, error: "INVALID_PASSWORD", message: "password must be a string of at most 128 chars" };
+  }
+  return { ok: true, password: raw };
+}
+
+// 错误次数按短码计数，防止针对单个短链的暴力破解
+function pwdLimitOpts(env, code) {
+  return {
+    scope: "pwd",
+    key: code,
+    maxReq: Math.max(1, parseInt(env.PWD_MAX_TRIES || "5", 10) || 5),
+    windowSec: Math.max(10, parseInt(env.PWD_WINDOW_SEC || "300", 10) || 300),
+  };
+}
+
+/* -------------------- 访问统计（ANALYTICS=on） -------------------- */
+
+// 每次访问写一条 E:<code>:-<倒序时间><rand>，统计数据放在 metadata 里，list 时即可读到，
+// 避免多个请求并发改写同一个计数 key（KV 对同一 key 的写入有频率限制）。
+// 倒序时间 = STATS_TIME_MAX - 毫秒时间戳（定长 base36），list 按字典序返回，最新的记录排在最前；
+// 旧版按正序时间写入的 E:<code>:<time><rand> 不带 "-"，排在新记录之后，到保留期后自然过期。
+// 绑定了 STATS 时记录写入 STATS，不与短链混在同一个 KV 中
+const STATS_MAX_PAGES = 50;
+const STATS_TIME_MAX = 36 ** 9 - 1;
+
+const BOT_RE = /bot|crawl|spider|slurp|preview|facebookexternalhit|embedly|curl|wget|python-requests|go-http-client|headless/i;
+
+function analyticsEnabled(env) {
+  return String(env.ANALYTICS || "off").toLowerCase() === "on";
+}
+
+// 访问记录所在的 KV：优先使用 STATS，未绑定时沿用 LINKS
+function statsKV(env) {
+  return env.STATS || env.LINKS;
+}
+
+function statsRetentionSec(env) {
+  return Math.max(1, parseInt(env.STATS_RETENTION_DAYS || "90", 10) || 90) * 86400;
+}
+
+function classifyUa(ua) {
+  if (/ipad|tablet|android(?!.*mobile)/i.test(ua)) return "tablet";
+  if (/mobi|iphone|ipod|android|windows phone/i.test(ua)) return "mobile";
+  if (/windows|macintosh|x11|linux|cros/i.test(ua)) return "desktop";
+  return "other";
+}
+
+function refererHost(req) {
+  try {
+    return new URL(req.headers.get("Referer")).hostname;
+  } catch {
+    return "";
+  }
+}
+
+// t: 时间(秒)  c: 国家  r: 来源域名  u: 设备类型  b: 是否爬虫  v: A/B 分流的变体序号（仅分流短链）
+function clickEvent(req) {
+  const ua = req.headers.get("User-Agent") || "";
+  const cf = req.cf || {};
+  const verifiedBot = !!(cf.botManagement && cf.botManagement.verifiedBot);
+  return {
+    t: Math.floor(Date.now() / 1000),
+    c: cf.country || "XX",
+    r: refererHost(req),
+    u: classifyUa(ua),
+    b: verifiedBot || !ua || BOT_RE.test(ua) ? 1 : 0,
+  };
+}
+
+async function recordClick(STATS, env, code, evt) {
+  const rand = crypto.getRandomValues(new Uint32Array(1))[0].toString(36);
+  const inv = (STATS_TIME_MAX - Date.now()).toString(36).padStart(9, "0");
+  await STATS.put(`E:${code}:-${inv}${rand}`, "", {
+    expirationTtl: statsRetentionSec(env),
+    metadata: evt,
+  });
+}
+
+async function linkStats(STATS, code, days, includeBots) {
+  const since = Math.floor(Date.now() / 1000) - days * 86400;
+  const out = { clicks: 0, bots: 0, byDay: {}, byCountry: {}, byReferrer: {}, byDevice: {}, byVariant: {}, truncated: false };
+  const bump = (obj, k) => (obj[k] = (obj[k] || 0) + 1);
+
+  const prefix = `E:${code}:`;
+  let cursor;
+  let pages = 0;
+  let done = false;
+  do {
+    const page = await STATS.list({ prefix, cursor });
+    for (const k of page.keys) {
+      const e = k.metadata;
+      if (e && e.t < since && k.name[prefix.length] === "-") {
+        // 新记录按时间倒序，遇到窗口外的即可结束；其后的旧版记录更早，同样在窗口外
+        done = true;
+        break;
+      }
+      if (!e || e.t < since) continue;
+      if (e.b) {
+        out.bots++;
+        if (!includeBots) continue;
+      } else {
+        out.clicks++;
+      }
+      bump(out.byDay, new Date(e.t * 1000).toISOString().slice(0, 10));
+      bump(out.byCountry, e.c);
+      bump(out.byReferrer, e.r || "(direct)");
+      bump(out.byDevice, e.u);
+      if (e.v !== undefined) bump(out.byVariant, e.v);
+    }
+    cursor = page.list_complete || done ? null : page.cursor;
+  } while (cursor && ++pages < STATS_MAX_PAGES);
+
+  // 访问量过大时只统计了最新的 STATS_MAX_PAGES 页，更早的访问未计入
+  out.truncated = !!cursor;
+  return out;
+}
+
+async function purgeStats(STATS, code) {
+  let cursor;
+  let pages = 0;
+  do {
+    const page = await STATS.list({ prefix: `E:${code}:`, cursor });
+    await Promise.all(page.keys.map((k) => STATS.delete(k.name)));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor && ++pages < STATS_MAX_PAGES);
+}
+
+/* -------------------- 跳转预览（/:code+） -------------------- */
+
+// PREVIEW_MODE=on 时所有短链都先显示预览页；也可按短链单独开启（flags.preview）
+function previewForced(env, link) {
+  return String(env.PREVIEW_MODE || "off").toLowerCase() === "on" || !!link.flags.preview;
+}
+
+function parsePreview(get) {
+  const raw = get("preview");
+  if (raw === null || raw === undefined) return { ok: true };
+  const preview = parseBool(raw);
+  if (preview === null) return { ok: false, error: "INVALID_PREVIEW", message: "preview must be a boolean" };
+  return { ok: true, preview };
+}
+
+// 有点击上限或开启访问统计时才有点击计数，否则返回 null
+async function previewClicks(LINKS, env, code, link) {
+  if (!link.maxClicks && !analyticsEnabled(env)) return null;
+  return getClicks(LINKS, code);
+}
+
+/* -------------------- 跳转状态码与缓存 -------------------- */
+
+const REDIRECT_STATUSES = [301, 302, 307, 308];
+
+function redirectStatus(env) {
+  const n = parseInt(env.REDIRECT_STATUS || "302", 10);
+  return REDIRECT_STATUSES.includes(n) ? n : 302;
+}
+
+function redirectCacheSec(env) {
+  const n = parseInt(env.REDIRECT_CACHE_SEC || "3600", 10);
+  return Number.isFinite(n) && n >= 0 ? n : 3600;
+}
+
+function noindexEnabled(env) {
+  return String(env.NOINDEX || "off").toLowerCase() === "on";
+}
+
+// redirect: 301/302/307/308（数字或字符串）；null 或 "" 表示使用全局 REDIRECT_STATUS
+function parseRedirect(get) {
+  const raw = get("redirect");
+  if (raw === undefined) return { ok: true };
+  if (raw === null || raw === "") return { ok: true, redirect: null };
+  const n = typeof raw === "number" ? raw : /^\d{3}$/.test(String(raw).trim()) ? parseInt(raw, 10) : NaN;
+  if (!REDIRECT_STATUSES.includes(n)) {
+    return { ok: false, error: "INVALID_REDIRECT", message: `redirect must be one of ${REDIRECT_STATUSES.join(", ")}` };
+  }
+  return { ok: true, redirect: n };
+}
+
+// 永久跳转会被浏览器缓存，之后的访问不再经过 Worker。
+// 有有效期、点击上限、密码、预览、定向规则、A/B 分流或开启访问统计的短链只用临时跳转，
+// 避免丢失点击、绕过限制或缓存了别人的目标
+function cacheableRedirect(env, link) {
+  return (
+    !link.expiresAt &&
+    !link.maxClicks &&
+    !link.pwd &&
+    !link.rules.length &&
+    !link.variants.length &&
+    !previewForced(env, link) &&
+    !analyticsEnabled(env)
+  );
+}
+
+// extra: 额外的响应头（如 A/B 分流的 Set-Cookie）
+function redirectResponse(req, env, link, target, extra = {}) {
+  let status = link.flags.redirect || redirectStatus(env);
+  const permanent = status === 301 || status === 308;
+  const headers = { ...extra, location: target };
+
+  if (req.method === "POST") {
+    // 密码与预览确认以 POST 提交，307/308 会让浏览器把表单再 POST 到目标地址
+    status = 302;
+    headers["cache-control"] = "no-store";
+  } else if (permanent && cacheableRedirect(env, link)) {
+    const sec = redirectCacheSec(env);
+    headers["cache-control"] = sec ? `public, max-age=${sec}` : "no-cache";
+  } else {
+    if (permanent) status = status === 308 ? 307 : 302;
+    headers["cache-control"] = "no-store";
+  }
+
+  if (noindexEnabled(env)) headers["x-robots-tag"] = "noindex";
+  return new Response(null, { status, headers });
+}
+
+/* -------------------- 参数与路径透传 -------------------- */
+
+// passQuery：访问时携带的查询参数如何并入目标地址
+// merge = 目标地址已有的参数优先；override = 访问参数覆盖同名参数；append = 同名参数都保留
+const PASS_QUERY_MODES = ["off", "merge", "override", "append"];
+
+function parsePassthrough(get) {
+  const out = { ok: true };
+
+  const q = get("passQuery");
+  if (q !== null && q !== undefined) {
+    const mode = String(q).trim().toLowerCase() || "off";
+    if (!PASS_QUERY_MODES.includes(mode)) {
+      return { ok: false, error: "INVALID_PASSTHROUGH", message: `passQuery must be one of ${PASS_QUERY_MODES.join(", ")}` };
+    }
+    out.passQuery = mode;
+  }
+
+  const p = get("prefix");
+  if (p !== null && p !== undefined) {
+    const prefix = parseBool(p);
+    if (prefix === null) return { ok: false, error: "INVALID_PASSTHROUGH", message: "prefix must be a boolean" };
+    out.prefix = prefix;
+  }
+  return out;
+}
+
+function applyPassthrough(flags, pt) {
+  if (pt.passQuery !== undefined) {
+    if (pt.passQuery === "off") delete flags.passQuery;
+    else flags.passQuery = pt.passQuery;
+  }
+  if (pt.prefix !== undefined) {
+    if (pt.prefix) flags.prefix = true;
+    else delete flags.prefix;
+  }
+}
+
+// 计算实际跳转地址：在选出的目标 base 上拼接前缀短链 /:code 之后的路径 rest（含开头的 /）与访问参数。
+// 直接拼接原始查询串，双方未被改动的参数逐字节保留；只有 merge/override 需要按参数名比较
+function resolveTarget(link, base, u, rest) {
+  const mode = link.flags.passQuery;
+  const incoming = mode ? u.search.slice(1).split("&").filter(Boolean) : [];
+  if (!rest && !incoming.length) return base;
+
+  const { base: head, query, hash } = splitUrl(base);
+  const path = rest ? head.replace(/\/+$/, "") + rest : head;
+
+  let own = query ? query.split("&") : [];
+  let added = incoming;
+  if (mode === "override") {
+    const names = new Set(incoming.map(rawParamName));
+    own = own.filter((s) => !names.has(rawParamName(s)));
+  } else if (mode === "merge") {
+    const names = new Set(own.map(rawParamName));
+    added = incoming.filter((s) => !names.has(rawParamName(s)));
+  }
+
+  const q = [...own, ...added].join("&");
+  return `${path}${q ? "?" + q : ""}${hash}`;
+}
+
+/* -------------------- 定向跳转规则 -------------------- */
+
+// 短链可带一组有序规则，访问时使用第一条所有条件都满足的规则的 url，都不满足时使用短链本身的 url。
+// 规则字段：url（必填）；country / os / device / lang 为列表，命中其中之一即可；
+// from / until 为时间段；days（星期，0 为周日）与 hours（"HH:MM-HH:MM"，可跨零点）按 offset 时区（默认 "+00:00"）计算
+const RULES_MAX = 20;
+const RULE_OS = ["ios", "android", "windows", "macos", "linux", "chromeos", "other"];
+const RULE_DEVICES = ["mobile", "tablet", "desktop", "other"];
+const RULE_LISTS = {
+  country: /^[A-Z0-9]{2}$/,
+  os: RULE_OS,
+  device: RULE_DEVICES,
+  lang: /^[a-z]{1,8}(-[a-z0-9]{1,8})*$/,
+};
+const HOURS_RE = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-3]):([0-5]\d)$/;
+const OFFSET_RE = /^([+-])(\d{2}):(\d{2})$/;
+
+function detectOs(ua) {
+  if (/iphone|ipad|ipod/i.test(ua)) return "ios";
+  if (/android/i.test(ua)) return "android";
+  if (/cros/i.test(ua)) return "chromeos";
+  if (/windows/i.test(ua)) return "windows";
+  if (/macintosh|mac os x/i.test(ua)) return "macos";
+  if (/linux|x11/i.test(ua)) return "linux";
+  return "other";
+}
+
+// Accept-Language 中权重最高的语言（小写），如 "zh-cn"
+function primaryLang(header) {
+  let best = "";
+  let bestQ = 0;
+  for (const part of String(header || "").split(",")) {
+    const [tag, ...params] = part.trim().split(";");
+    const qp = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+    const q = qp ? parseFloat(qp.slice(2)) : 1;
+    if (tag && tag !== "*" && q > bestQ) {
+      best = tag.toLowerCase();
+      bestQ = q;
+    }
+  }
+  return best;
+}
+
+function parseRule(r) {
+  const bad = (message) => ({ ok: false, message });
+  if (!r || typeof r !== "object" || Array.isArray(r)) return bad("must be an object");
+  if (typeof r.url !== "string" || r.url.length > 8192 || !isHttpUrl(r.url)) return bad("url must be a valid http/https URL");
+  const rule = { url: r.url };
+
+  for (const [name, check] of Object.entries(RULE_LISTS)) {
+    if (r[name] === undefined || r[name] === null) continue;
+    const list = (Array.isArray(r[name]) ? r[name] : String(r[name]).split(","))
+      .map((v) => String(v).trim())
+      .filter(Boolean)
+      .map((v) => (name === "country" ? v.toUpperCase() : v.toLowerCase()));
+    const valid = (v) => (Array.isArray(check) ? check.includes(v) : check.test(v));
+    if (!list.length || list.length > 50 || !list.every(valid)) return bad(`invalid ${name}`);
+    rule[name] = [...new Set(list)];
+  }
+
+  for (const name of ["from", "until"]) {
+    if (r[name] === undefined || r[name] === null || r[name] === "") continue;
+    const t = parseTimestamp(r[name]);
+    if (!t) return bad(`${name} must be a Unix timestamp or ISO 8601 date`);
+    rule[name] = t;
+  }
+  if (rule.from && rule.until && rule.from >= rule.until) return bad("from must be before until");
+
+  if (r.days !== undefined && r.days !== null) {
+    if (!Array.isArray(r.days) || !r.days.length || !r.days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      return bad("days must be a list of weekdays 0-6 (0 = Sunday)");
+    }
+    rule.days = [...new Set(r.days)];
+  }
+  if (r.hours !== undefined && r.hours !== null) {
+    if (typeof r.hours !== "string" || !HOURS_RE.test(r.hours)) return bad('hours must look like "09:00-18:00"');
+    rule.hours = r.hours;
+  }
+  if (r.offset !== undefined && r.offset !== null) {
+    if (typeof r.offset !== "string" || !OFFSET_RE.test(r.offset)) return bad('offset must look like "+08:00"');
+    rule.offset = r.offset;
+  }
+
+  // 没有任何条件的规则总会命中，应直接作为短链本身的 url
+  if (!Object.keys(rule).some((k) => k !== "url" && k !== "offset")) return bad("at least one condition is required");
+  return { ok: true, rule };
+}
+
+// rules: 规则数组（表单中为 JSON 字符串）；null、"" 或 [] 表示不使用规则
+function parseRules(get) {
+  let raw = get("rules");
+  if (raw === undefined) return { ok: true };
+  if (raw === null || raw === "") return { ok: true, rules: [] };
+  const bad = (message) => ({ ok: false, error: "INVALID_RULES", message });
+
+  if (typeof raw === "string") {
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      return bad("rules must be a JSON array");
+    }
+  }
+  if (!Array.isArray(raw)) return bad("rules must be a JSON array");
+  if (raw.length > RULES_MAX) return bad(`At most ${RULES_MAX} rules`);
+
+  const rules = [];
+  for (const [i, r] of raw.entries()) {
+    const x = parseRule(r);
+    if (!x.ok) return bad(`rules[${i}]: ${x.message}`);
+    rules.push(x.rule);
+  }
+  return { ok: true, rules };
+}
+
+function offsetSec(offset) {
+  const m = OFFSET_RE.exec(offset || "+00:00");
+  const sec = parseInt(m[2], 10) * 3600 + parseInt(m[3], 10) * 60;
+  return m[1] === "-" ? -sec : sec;
+}
+
+function requestTraits(req) {
+  const ua = req.headers.get("User-Agent") || "";
+  return {
+    country: (req.cf && req.cf.country) || "XX",
+    os: detectOs(ua),
+    device: classifyUa(ua),
+    lang: primaryLang(req.headers.get("Accept-Language")),
+    now: Math.floor(Date.now() / 1000),
+  };
+}
+
+function ruleMatches(rule, t) {
+  if (rule.country && !rule.country.includes(t.country)) return false;
+  if (rule.os && !rule.os.includes(t.os)) return false;
+  if (rule.device && !rule.device.includes(t.device)) return false;
+  // "zh" 匹配 zh、zh-cn、zh-tw 等
+  if (rule.lang && !rule.lang.some((l) => t.lang === l || t.lang.startsWith(l + "-"))) return false;
+  if (rule.from && t.now < rule.from) return false;
+  if (rule.until && t.now >= rule.until) return false;
+
+  if (rule.days || rule.hours) {
+    const local = new Date((t.now + offsetSec(rule.offset)) * 1000);
+    if (rule.days && !rule.days.includes(local.getUTCDay())) return false;
+    if (rule.hours) {
+      const [, h1, m1, h2, m2] = HOURS_RE.exec(rule.hours).map(Number);
+      const start = h1 * 60 + m1;
+      const end = h2 * 60 + m2;
+      const now = local.getUTCHours() * 60 + local.getUTCMinutes();
+      if (start <= end ? now < start || now >= end : now < start && now >= end) return false;
+    }
+  }
+  return true;
+}
+
+// 第一条命中规则的目标地址，没有命中时返回 ""
+function ruleUrl(req, link) {
+  if (!link.rules.length) return "";
+  const traits = requestTraits(req);
+  const rule = link.rules.find((r) => ruleMatches(r, traits));
+  return rule ? rule.url : "";
+}
+
+/* -------------------- A/B 分流 -------------------- */
+
+// variants: [{ url, weight }]，按权重随机选择；sticky 时用 Cookie ab_<code> 记住访客分到的变体序号
+const VARIANTS_MAX = 10;
+const VARIANT_WEIGHT_MAX = 1000;
+const VARIANT_COOKIE_MAX_AGE = 30 * 86400;
+
+// variants: 数组（表单中为 JSON 字符串）；null、"" 或 [] 表示不分流。sticky: 布尔值
+function parseVariants(get) {
+  const bad = (message) => ({ ok: false, error: "INVALID_VARIANTS", message });
+  const out = { ok: true };
+
+  const stickyRaw = get("sticky");
+  if (stickyRaw !== null && stickyRaw !== undefined) {
+    out.sticky = parseBool(stickyRaw);
+    if (out.sticky === null) return bad("sticky must be a boolean");
+  }
+
+  let raw = get("variants");
+  if (raw === undefined) return out;
+  if (raw === null || raw === "") return { ...out, variants: [] };
+  if (typeof raw === "string") {
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      return bad("variants must be a JSON array");
+    }
+  }
+  if (!Array.isArray(raw)) return bad("variants must be a JSON array");
+  if (raw.length === 1 || raw.length > VARIANTS_MAX) return bad(`Use 2-${VARIANTS_MAX} variants, or none`);
+
+  const variants = [];
+  for (const [i, v] of raw.entries()) {
+    if (!v || typeof v !== "object" || typeof v.url !== "string" || v.url.length > 8192 || !isHttpUrl(v.url)) {
+      return bad(`variants[${i}]: url must be a valid http/https URL`);
+    }
+    const weight = v.weight === undefined ? 1 : v.weight;
+    if (!Number.isInteger(weight) || weight < 1 || weight > VARIANT_WEIGHT_MAX) {
+      return bad(`variants[${i}]: weight must be an integer between 1 and ${VARIANT_WEIGHT_MAX}`);
+    }
+    variants.push({ url: v.url, weight });
+  }
+  return { ...out, variants };
+}
+
+function readCookie(req, name) {
+  for (const part of (req.headers.get("Cookie") || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0 && part.slice(0, i).trim() === name) return part.slice(i + 1).trim();
+  }
+  return null;
+}
+
+function pickVariant(variants) {
+  const total = variants.reduce((n, v) => n + v.weight, 0);
+  let r = crypto.getRandomValues(new Uint32Array(1))[0] % total;
+  for (let i = 0; i < variants.length; i++) {
+    if (r < variants[i].weight) return i;
+    r -= variants[i].weight;
+  }
+  return variants.length - 1;
+}
+
+// 选出本次访问的目标：定向规则优先，其次按权重分流，最后是短链本身的 url。
+// 返回 { url, variant（变体序号，未分流为 null）, headers（需要附加的响应头） }
+function pickDestination(req, link, code) {
+  const ruled = ruleUrl(req, link);
+  if (ruled || !link.variants.length) return { url: ruled || link.url, variant: null, headers: {} };
+
+  const name = `ab_${code}`;
+  const headers = {};
+  let i = link.flags.sticky ? parseInt(readCookie(req, name), 10) : NaN;
+  if (!(i >= 0 && i < link.variants.length)) {
+    i = pickVariant(link.variants);
+    if (link.flags.sticky) {
+      headers["set-cookie"] = `${name}=${i}; Path=/; Max-Age=${VARIANT_COOKIE_MAX_AGE}; HttpOnly; Secure; SameSite=Lax`;
+    }
+  }
+  return { url: link.variants[i].url, variant: i, headers };
+}
+
+/* -------------------- UTM 参数 -------------------- */
+
+const UTM_FIELDS = ["utm_source", "utm_medium", "utm_campaign", "utm_term", "utm_content"];
+
+// 读取 utm_* 字段，返回非空的 [name, value] 列表
+function parseUtm(get) {
+  const params = [];
+  for (const name of UTM_FIELDS) {
+    const raw = get(name);
+    if (raw === null || raw === undefined) continue;
+    if (typeof raw !== "string" || raw.length > 200) {
+      return { ok: false, error: "INVALID_UTM", message: `${name} must be a string of at most 200 chars` };
+    }
+    const value = raw.trim();
+    if (value) params.push([name, value]);
+  }
+  return { ok: true, params };
+}
+
+// 合并进目标地址：去掉同名的 utm_* 参数后追加到查询串末尾，其余参数与 #hash 逐字节保持不变
+function applyUtm(longUrl, params) {
+  const { base, query, hash } = splitUrl(longUrl);
+  const names = new Set(params.map(([name]) => name));
+  const kept = query ? query.split("&").filter((s) => !names.has(rawParamName(s))) : [];
+  const added = params.map(([name, value]) => `${name}=${encodeURIComponent(value)}`);
+  return `${base}?${[...kept, ...added].join("&")}${hash}`;
+}
+
+/* -------------------- 可选：长链去重（默认关闭） -------------------- */
+
+async function digestHex(algorithm, input) {
+  const buf = new TextEncoder().encode(input);
+  const digest = await crypto.subtle.digest(algorithm, buf);
+  const bytes = new Uint8Array(digest);
+  let hex = "";
+  for (const b of bytes) hex += b.toString(16).padStart(2, "0");
+  return hex;
+}
+
+function sha1Hex(input) {
+  return digestHex("SHA-1", input);
+}
+
+function dedupTtl(env) {
+  return parseInt(env.DEDUP_TTL_SEC || "0", 10) || 0;
+}
+
+// 有时效、次数限制、密码、定向规则、分流、任何 flags 设置（预览、跳转、透传、停用），或归属于某个 API Key 的短链不参与去重，避免被他人复用。
+// 定时探测写入的 flags.dead 不算在内
+function dedupEligible(link) {
+  return (
+    !link.expiresAt &&
+    !link.maxClicks &&
+    !link.pwd &&
+    !link.rules.length &&
+    !link.variants.length &&
+    !Object.keys(link.flags).some((k) => k !== "dead") &&
+    !link.owner
+  );
+}
+
+async function getDedupCode(LINKS, env, longUrl) {
+  const ttl = dedupTtl(env);
+  if (ttl <= 0) return null;
+  const h = await sha1Hex(longUrl);
+  const code = await LINKS.get(`D:${h}`);
+  if (!code) return null;
+
+  // 映射存在但目标已删除、已过期、次数用尽或已不满足去重条件时，视为未命中
+  const link = await getLink(LINKS, code);
+  if (!link || link.url !== longUrl || !dedupEligible(link)) return null;
+  const clicks = link.maxClicks ? await getClicks(LINKS, code) : 0;
+  return linkState(link, clicks) === "ok" ? code : null;
+}
+
+async function putDedupCode(LINKS, env, longUrl, code) {
+  const ttl = dedupTtl(env);
+  if (ttl <= 0) return;
+  const h = await sha1Hex(longUrl);
+  await LINKS.put(`D:${h}`, code, { expirationTtl: ttl });
+}
+
+// 删除/修改短链时调用；不看 DEDUP_TTL_SEC，因为映射可能是在开启去重时写入的
+async function dropDedupCode(LINKS, longUrl, code) {
+  const key = `D:${await sha1Hex(longUrl)}`;
+  if ((await LINKS.get(key)) === code) await LINKS.delete(key);
+}
+
+/* -------------------- 目标地址安全策略 -------------------- */
+
+// 常见短链服务，禁止套娃跳转（BLOCK_SHORTENERS=off 可关闭）
+const KNOWN_SHORTENERS = [
+  "bit.ly", "bitly.com", "t.co", "tinyurl.com", "goo.gl", "ow.ly", "is.gd", "v.gd", "buff.ly",
+  "rebrand.ly", "cutt.ly", "shorturl.at", "tiny.cc", "rb.gy", "bl.ink", "t.ly", "s.id", "lnkd.in",
+  "dub.sh", "trib.al", "adf.ly", "shorte.st", "surl.li", "t.cn", "dwz.cn", "u.nu", "qr.net",
+];
+
+// 逗号分隔的主机名列表，* 匹配任意字符：*.example.com 匹配所有子域名（不含 example.com 本身）
+function hostPatterns(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase().replace(/\.$/, ""))
+    .filter(Boolean)
+    .map((p) => new RegExp("^" + p.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*") + "$"));
+}
+
+function hostMatches(host, patterns) {
+  return patterns.some((re) => re.test(host));
+}
+
+// host 本身或其上级域名在列表中
+function hostInDomains(host, domains) {
+  return domains.some((d) => host === d || host.endsWith("." + d));
+}
+
+// 私有、回环、链路本地等地址字面量（URL 解析时已把 2130706433、0x7f.1 等写法规范化为点分十进制）
+function isPrivateIpv4(host) {
+  const m = host.match(/^(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (!m) return false;
+  const [a, b] = [Number(m[1]), Number(m[2])];
+  return (
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 198 && (b === 18 || b === 19)) ||
+    a >= 224
+  );
+}
+
+function isPrivateHost(host) {
+  if (host === "localhost" || host.endsWith(".localhost")) return true;
+  if (isPrivateIpv4(host)) return true;
+  if (!host.startsWith("[")) return false;
+
+  const v6 = host.slice(1, -1);
+  if (v6 === "::" || v6 === "::1") return true;
+  if (/^f[cd]/.test(v6) || /^fe[89ab]/.test(v6)) return true;
+  // IPv4 映射地址：::ffff:7f00:1
+  const mapped = v6.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mapped) {
+    const hi = parseInt(mapped[1], 16);
+    const lo = parseInt(mapped[2], 16);
+    return isPrivateIpv4(`${hi >> 8}.${hi & 255}.${lo >> 8}.${lo & 255}`);
+  }
+  return false;
+}
+
+// 本地黑名单：B:<host>，命中 host 本身或任一上级域名即拒绝
+async function kvBlocklisted(LINKS, host) {
+  const hits = await Promise.all(blocklistNames(host).map((n) => LINKS.get(`B:${n}`)));
+  return hits.some((v) => v !== null);
+}
+
+// 需要查询的黑名单键：host 本身及其上级域名，不单独检查顶级域名
+function blocklistNames(host) {
+  if (host.startsWith("[")) return [];
+  const labels = host.split(".");
+  const names = labels.map((_, i) => labels.slice(i).join("."));
+  if (names.length > 1) names.pop();
+  return names;
+}
+
+// 创建短链前检查目标地址；失败返回 { ok: false, status, error, message }
+async function checkUrlPolicy(req, env, LINKS, longUrl) {
+  const target = new URL(longUrl);
+  const host = target.hostname.toLowerCase().replace(/\.$/, "");
+  const deny = (error, message) => ({ ok: false, status: 400, error, message });
+
+  if (target.username || target.password) {
+    return deny("URL_CREDENTIALS", "URLs containing credentials are not allowed");
+  }
+
+  if (String(env.ALLOW_PRIVATE_IPS || "off").toLowerCase() !== "on" && isPrivateHost(host)) {
+    return deny("PRIVATE_ADDRESS", "Private, loopback and link-local addresses are not allowed");
+  }
+
+  // 指向本服务会造成跳转循环
+  const self = [new URL(req.url).hostname, new URL(baseUrlFor(env, new URL(req.url))).hostname, ...domainHosts(env)];
+  if (self.includes(host)) {
+    return deny("SELF_REFERENCE", "URLs pointing to this short link service are not allowed");
+  }
+
+  // 设置了 ALLOW_HOSTS 时只允许列表内的主机，且不再检查短链服务
+  const allow = hostPatterns(env.ALLOW_HOSTS);
+  if (allow.length && !hostMatches(host, allow)) {
+    return deny("HOST_NOT_ALLOWED", "Destination host is not in the allow list");
+  }
+
+  if (hostMatches(host, hostPatterns(env.BLOCK_HOSTS))) {
+    return deny("HOST_BLOCKED", "Destination host is blocked");
+  }
+
+  if (!allow.length && String(env.BLOCK_SHORTENERS || "on").toLowerCase() !== "off" && hostInDomains(host, KNOWN_SHORTENERS)) {
+    return deny("SHORTENER_BLOCKED", "Links to other URL shorteners are not allowed");
+  }
+
+  if (LINKS && (await kvBlocklisted(LINKS, host))) {
+    return deny("HOST_BLOCKED", "Destination host is blocked");
+  }
+
+  return { ok: true };
+}
+
+// 管理接口传入的主机名，按 URL 规则规范化（小写、IDN 转 punycode）
+function normalizeHost(raw) {
+  if (!raw || /[/@?#:\s]/.test(raw)) return null;
+  try {
+    return new URL(`http://${raw}`).hostname.replace(/\.$/, "") || null;
+  } catch {
+    return null;
+  }
+}
+
+// GET /api/admin/blocklist、PUT/DELETE /api/admin/blocklist/:host
+async function handleBlocklist(req, LINKS, u, rawHost) {
+  if (rawHost === undefined) {
+    if (req.method !== "GET") return apiError(405, "METHOD_NOT_ALLOWED", "Method not allowed");
+    const limit = Math.min(100, Math.max(1, parseInt(u.searchParams.get("limit") || "50", 10) || 50));
+    const page = await LINKS.list({ prefix: "B:", limit, cursor: u.searchParams.get("cursor") || undefined });
+    return json({
+      hosts: page.keys.map((k) => ({ host: k.name.slice(2), reason: "", createdAt: null, ...(k.metadata || {}) })),
+      cursor: page.list_complete ? null : page.cursor,
+    });
+  }
+
+  let host = null;
+  try {
+    host = normalizeHost(decodeURIComponent(rawHost));
+  } catch {}
+  if (!host) return apiError(400, "INVALID_HOST", "Invalid host name");
+
+  if (req.method === "PUT") {
+    let body = {};
+    const raw = await req.text();
+    if (raw.trim()) {
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        return apiError(400, "INVALID_JSON", "Invalid JSON body");
+      }
+    }
+    const reason = body && body.reason !== undefined ? body.reason : "";
+    if (typeof reason !== "string" || reason.length > 200) {
+      return apiError(400, "INVALID_JSON", "reason must be a string of at most 200 chars");
+    }
+    const entry = { reason, createdAt: Math.floor(Date.now() / 1000) };
+    await LINKS.put(`B:${host}`, "1", { metadata: entry });
+    return json({ host, ...entry });
+  }
+
+  if (req.method === "DELETE") {
+    await LINKS.delete(`B:${host}`);
+    return new Response(null, { status: 204 });
+  }
+
+  return apiError(405, "METHOD_NOT_ALLOWED", "Method not allowed");
+}
+
+/* -------------------- 创建短链（/short 与 /api/v1 共用） -------------------- */
+
+// ShortUrl 的 base：优先 BASE_URL，否则回退到当前 host
+function baseUrlFor(env, u) {
+  return String(env.BASE_URL || `${u.protocol}//${u.host}`).replace(/\/+$/, "");
+}
+
+function shortUrlFor(env, u, code) {
+  return `${baseUrlFor(env, u)}/${code}`;
+}
+
+// get(name) 读取请求中的可选字段（表单或 JSON 均可）；owner 为创建者 API Key 的 owner，匿名为空。
+// 成功返回 { ok: true, code, link, created }，created=false 表示命中去重复用了已有短码；
+// 失败返回 { ok: false, status, error, message }
+async function createLink(req, env, LINKS, longUrl, get, owner = "") {
+  if (typeof longUrl !== "string" || !longUrl) {
+    return { ok: false, status: 400, error: "INVALID_URL", message: "Missing url" };
+  }
+  if (longUrl.length > 8192) {
+    return { ok: false, status: 413, error: "URL_TOO_LONG", message: "URL too large" };
+  }
+  if (!isHttpUrl(longUrl)) {
+    return { ok: false, status: 400, error: "INVALID_URL", message: "url is not a valid http/https URL" };
+  }
+
+  // 可选 UTM 参数：先合并进目标地址，之后的策略检查、去重与存储都使用合并后的地址
+  const utm = parseUtm(get);
+  if (!utm.ok) return { status: 400, ...utm };
+  if (utm.params.length) {
+    longUrl = applyUtm(longUrl, utm.params);
+    if (longUrl.length > 8192) {
+      return { ok: false, status: 413, error: "URL_TOO_LONG", message: "URL too large" };
+    }
+  }
+
+  // 目标地址安全策略（黑白名单、私有地址、短链套娃等）
+  const policy = await checkUrlPolicy(req, env, LINKS, longUrl);
+  if (!policy.ok) return policy;
+
+  // 可选有效期与点击上限
+  const limits = parseLimits(get);
+  if (!limits.ok) return { status: 400, ...limits };
+
+  // 可选标题与标签
+  const info = parseLinkInfo(get);
+  if (!info.ok) return { status: 400, ...info };
+
+  // 可选访问密码
+  const pw = parsePassword(get("password"));
+  if (!pw.ok) return { status: 400, ...pw };
+
+  // 可选：该短链跳转前先显示预览页
+  const pv = parsePreview(get);
+  if (!pv.ok) return { status: 400, ...pv };
+
+  // 可选：该短链的跳转状态码
+  const rd = parseRedirect(get);
+  if (!rd.ok) return { status: 400, ...rd };
+
+  // 可选：查询参数透传与前缀短链
+  const pt = parsePassthrough(get);
+  if (!pt.ok) return { status: 400, ...pt };
+
+  // 可选：定向跳转规则与 A/B 分流，其中的目标地址同样合并 UTM 参数并经过安全策略检查
+  const rs = parseRules(get);
+  if (!rs.ok) return { status: 400, ...rs };
+  const rules = (rs.rules || []).map((r) => (utm.params.length ? { ...r, url: applyUtm(r.url, utm.params) } : r));
+
+  // 可选：A/B 分流
+  const ab = parseVariants(get);
+  if (!ab.ok) return { status: 400, ...ab };
+  const variants = (ab.variants || []).map((v) => (utm.params.length ? { ...v, url: applyUtm(v.url, utm.params) } : v));
+
+  for (const x of [...rules, ...variants]) {
+    const p = await checkUrlPolicy(req, env, LINKS, x.url);
+    if (!p.ok) return p;
+  }
+
+  // 可选自定义别名（明文，不做 base64）
+  const aliasRaw = get("alias");
+  if (aliasRaw !== null && aliasRaw !== undefined && typeof aliasRaw !== "string") {
+    return { ok: false, status: 400, error: "ALIAS_INVALID", message: "alias must be a string" };
+  }
+  const alias = (aliasRaw || "").trim();
+  if (alias) {
+    const chk = await checkAlias(LINKS, env, alias);
+    if (!chk.ok) return chk;
+  }
+
+  const link = {
+    url: longUrl,
+    createdAt: Math.floor(Date.now() / 1000),
+    ipHash: await hashIp(env, getClientIp(req)),
+    owner,
+    title: info.title || "",
+    tags: info.tags || [],
+    expiresAt: limits.expiresAt,
+    maxClicks: limits.maxClicks,
+    pwd: pw.password ? await hashPassword(pw.password) : null,
+    rules,
+    variants,
+    flags: {},
+  };
+  if (pv.preview) link.flags.preview = true;
+  if (rd.redirect) link.flags.redirect = rd.redirect;
+  applyPassthrough(link.flags, pt);
+  if (ab.sticky) link.flags.sticky = true;
+
+  // 别名是用户显式指定的，不参与去重
+  if (alias) {
+    await putLink(LINKS, alias, link);
+    return { ok: true, code: alias, link, created: true };
+  }
+
+  const dedup = dedupEligible(link);
+
+  // 可选去重：复用已有短码（若启用）
+  if (dedup) {
+    const existing = await getDedupCode(LINKS, env, longUrl);
+    if (existing) return { ok: true, code: existing, link: await getLink(LINKS, existing), created: false };
+  }
+
+  // 分配新短码
+  const code = await allocateCode(LINKS, env);
+  if (!code) {
+    return { ok: false, status: 500, error: "CODE_ALLOCATION_FAILED", message: "Failed to allocate code" };
+  }
+
+  // 写入 KV：code -> 记录
+  await putLink(LINKS, code, link);
+
+  // 去重映射：longUrl -> code（可选）
+  if (dedup) await putDedupCode(LINKS, env, longUrl, code);
+
+  return { ok: true, code, link, created: true };
+}
+
+/* -------------------- 二维码（QR Code） -------------------- */
+
+// 纯 JS 实现的 QR 编码（仅字节模式，版本 1-40），参考 ISO/IEC 18004。
+// 下标均为 [纠错等级][版本]，纠错等级顺序为 L/M/Q/H。
+const QR_ECC_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+];
+const QR_NUM_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+];
+const QR_ECC_LEVELS = { L: 0, M: 1, Q: 2, H: 3 };
+// 格式信息中的纠错等级编码
+const QR_ECC_FORMAT_BITS = [1, 0, 3, 2];
+
+function qrRawModules(ver) {
+  let n = (16 * ver + 128) * ver + 64;
+  if (ver >= 2) {
+    const align = Math.floor(ver / 7) + 2;
+    n -= (25 * align - 10) * align - 55;
+    if (ver >= 7) n -= 36;
+  }
+  return n;
+}
+
+function qrDataCodewords(ver, ecl) {
+  return Math.floor(qrRawModules(ver) / 8) - QR_ECC_PER_BLOCK[ecl][ver] * QR_NUM_BLOCKS[ecl][ver];
+}
+
+function qrGfMul(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function qrRsDivisor(degree) {
+  const out = new Array(degree).fill(0);
+  out[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      out[j] = qrGfMul(out[j], root);
+      if (j + 1 < degree) out[j] ^= out[j + 1];
+    }
+    root = qrGfMul(root, 0x02);
+  }
+  return out;
+}
+
+function qrRsRemainder(data, divisor) {
+  const out = new Array(divisor.length).fill(0);
+  for (const b of data) {
+    const factor = b ^ out.shift();
+    out.push(0);
+    divisor.forEach((coef, i) => (out[i] ^= qrGfMul(coef, factor)));
+  }
+  return out;
+}
+
+// 数据码字 -> 分块、追加纠错码并交织
+function qrAddEcc(data, ver, ecl) {
+  const numBlocks = QR_NUM_BLOCKS[ecl][ver];
+  const eccLen = QR_ECC_PER_BLOCK[ecl][ver];
+  const raw = Math.floor(qrRawModules(ver) / 8);
+  const numShort = numBlocks - (raw % numBlocks);
+  const shortLen = Math.floor(raw / numBlocks);
+  const divisor = qrRsDivisor(eccLen);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortLen - eccLen + (i < numShort ? 0 : 1));
+    k += dat.length;
+    const ecc = qrRsRemainder(dat, divisor);
+    if (i < numShort) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+
+  const out = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((blk, j) => {
+      // 短块在数据段末尾的占位字节不输出
+      if (i !== shortLen - eccLen || j >= numShort) out.push(blk[i]);
+    });
+  }
+  return out;
+}
+
+function qrAlignmentPositions(ver, size) {
+  if (ver === 1) return [];
+  const num = Math.floor(ver / 7) + 2;
+  const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (num * 2 - 2)) * 2;
+  const out = [6];
+  for (let pos = size - 7; out.length < num; pos -= step) out.splice(1, 0, pos);
+  return out;
+}
+
+function qrPenalty(m, size) {
+  let score = 0;
+  let dark = 0;
+
+  // 规则 1：行/列中连续 5 个以上同色；规则 3：类似定位图案的 1:1:3:1:1 序列
+  const finderLike = (line, i) => {
+    const pat = [1, 0, 1, 1, 1, 0, 1];
+    for (let k = 0; k < 7; k++) if (line[i + k] !== pat[k]) return false;
+    const light = (a, b) => {
+      for (let k = a; k < b; k++) if (k >= 0 && k < size && line[k]) return false;
+      return true;
+    };
+    return light(i - 4, i) || light(i + 7, i + 11);
+  };
+  const scanLine = (line) => {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) score += run - 2;
+        run = 1;
+      }
+    }
+    for (let i = 0; i + 7 <= size; i++) if (finderLike(line, i)) score += 40;
+  };
+
+  for (let y = 0; y < size; y++) {
+    scanLine(m[y]);
+    const col = new Array(size);
+    for (let x = 0; x < size; x++) col[x] = m[x][y];
+    scanLine(col);
+  }
+
+  // 规则 2：2x2 同色块
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const c = m[y][x];
+      if (c === m[y][x + 1] && c === m[y + 1][x] && c === m[y + 1][x + 1]) score += 3;
+    }
+  }
+
+  // 规则 4：深色模块比例偏离 50%
+  for (let y = 0; y < size; y++) for (let x = 0; x < size; x++) dark += m[y][x];
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
+
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+// 返回 { size, modules }，modules[y][x] 为 1 表示深色
+function qrEncode(textValue, eclName = "M") {
+  const ecl = QR_ECC_LEVELS[eclName] === undefined ? 1 : QR_ECC_LEVELS[eclName];
+  const bytes = new TextEncoder().encode(textValue);
+
+  // 选择能容纳数据的最小版本（字节模式：版本 1-9 长度字段 8 位，其余 16 位）
+  let ver = 1;
+  for (; ver <= 40; ver++) {
+    const bitsNeeded = 4 + (ver <= 9 ? 8 : 16) + bytes.length * 8;
+    if (bitsNeeded <= qrDataCodewords(ver, ecl) * 8) break;
+  }
+  if (ver > 40) throw new Error("Data too long for QR code");
+
+  // 组装数据位：模式指示 0100 + 长度 + 数据 + 终止符 + 填充
+  const bits = [];
+  const put = (val, len) => {
+    for (let i = len - 1; i >= 0; i--) bits.push((val >>> i) & 1);
+  };
+  put(0x4, 4);
+  put(bytes.length, ver <= 9 ? 8 : 16);
+  for (const b of bytes) put(b, 8);
+  const capacity = qrDataCodewords(ver, ecl) * 8;
+  put(0, Math.min(4, capacity - bits.length));
+  put(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) put(pad, 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    let b = 0;
+    for (let k = 0; k < 8; k++) b = (b << 1) | bits[i + k];
+    data.push(b);
+  }
+  const codewords = qrAddEcc(data, ver, ecl);
+
+  const size = ver * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(0));
+  const isFunc = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunc = (x, y, dark) => {
+    modules[y][x] = dark ? 1 : 0;
+    isFunc[y][x] = true;
+  };
+
+  // 时序图案
+  for (let i = 0; i < size; i++) {
+    setFunc(6, i, i % 2 === 0);
+    setFunc(i, 6, i % 2 === 0);
+  }
+
+  // 三个定位图案（含分隔符）
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) setFunc(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+
+  // 校正图案（避开三个定位图案所在的角）
+  const align = qrAlignmentPositions(ver, size);
+  const last = align.length - 1;
+  align.forEach((ay, i) => {
+    align.forEach((ax, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) setFunc(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    });
+  });
+
+  const drawFormat = (mask) => {
+    const fmt = (QR_ECC_FORMAT_BITS[ecl] << 3) | mask;
+    let rem = fmt;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const v = ((fmt << 10) | rem) ^ 0x5412;
+    const bit = (i) => (v >>> i) & 1;
+
+    for (let i = 0; i <= 5; i++) setFunc(8, i, bit(i));
+    setFunc(8, 7, bit(6));
+    setFunc(8, 8, bit(7));
+    setFunc(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setFunc(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) setFunc(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setFunc(8, size - 15 + i, bit(i));
+    setFunc(8, size - 8, true);
+  };
+
+  // 先占位格式信息区域，避免被数据覆盖
+  drawFormat(0);
+
+  // 版本信息（版本 7 及以上）
+  if (ver >= 7) {
+    let rem = ver;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const v = (ver << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = (v >>> i) & 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunc(a, b, dark);
+      setFunc(b, a, dark);
+    }
+  }
+
+  // 按之字形顺序放置数据位
+  let idx = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunc[y][x] && idx < codewords.length * 8) {
+          modules[y][x] = (codewords[idx >>> 3] >>> (7 - (idx & 7))) & 1;
+          idx++;
+        }
+      }
+    }
+  }
+
+  const applyMask = (mask) => {
+    const fn = QR_MASKS[mask];
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) if (!isFunc[y][x] && fn(x, y)) modules[y][x] ^= 1;
+    }
+  };
+
+  // 选择惩罚分最低的掩码
+  let best = 0;
+  let bestScore = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    applyMask(mask);
+    drawFormat(mask);
+    const score = qrPenalty(modules, size);
+    if (score < bestScore) {
+      best = mask;
+      bestScore = score;
+    }
+    applyMask(mask);
+  }
+  applyMask(best);
+  drawFormat(best);
+
+  return { size, modules };
+}
+
+function qrSvg(qr, px, margin) {
+  const n = qr.size + margin * 2;
+  let d = "";
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (qr.modules[y][x]) d += `M${x + margin} ${y + margin}h1v1h-1z`;
+    }
+  }
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${n} ${n}" width="${px}" height="${px}" shape-rendering="crispEdges"><rect width="${n}" height="${n}" fill="#fff"/><path d="${d}" fill="#000"/></svg>`;
+}
+
+const CRC32_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const b of bytes) c = CRC32_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const dv = new DataView(out.buffer);
+  dv.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  dv.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+// 1 位灰度 PNG；IDAT 需要 zlib 格式，正好是 CompressionStream("deflate") 的输出
+async function qrPng(qr, px, margin) {
+  const n = qr.size + margin * 2;
+  const scale = Math.max(1, Math.floor(px / n));
+  const w = n * scale;
+  const rowLen = Math.ceil(w / 8) + 1;
+  const raw = new Uint8Array(rowLen * w);
+
+  for (let y = 0; y < w; y++) {
+    const my = Math.floor(y / scale) - margin;
+    for (let x = 0; x < w; x++) {
+      const mx = Math.floor(x / scale) - margin;
+      const dark = my >= 0 && my < qr.size && mx >= 0 && mx < qr.size && qr.modules[my][mx];
+      // 0 为黑、1 为白；每行首字节是过滤类型 0
+      if (!dark) raw[y * rowLen + 1 + (x >>> 3)] |= 0x80 >>> (x & 7);
+    }
+  }
+
+  const idat = new Uint8Array(
+    await new Response(new Blob([raw]).stream().pipeThrough(new CompressionStream("deflate"))).arrayBuffer()
+  );
+
+  const ihdr = new Uint8Array(13);
+  const dv = new DataView(ihdr.buffer);
+  dv.setUint32(0, w);
+  dv.setUint32(4, w);
+  ihdr[8] = 1; // bit depth
+  ihdr[9] = 0; // grayscale
+
+  const parts = [
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", idat),
+    pngChunk("IEND", new Uint8Array(0)),
+  ];
+  return new Blob(parts);
+}
+
+const QR_MIN_SIZE = 64;
+const QR_MAX_SIZE = 2048;
+const QR_MAX_MARGIN = 16;
+
+function parseQrOptions(u) {
+  const q = u.searchParams;
+  const bad = (message) => ({ ok: false, status: 400, error: "INVALID_QR_OPTIONS", message });
+
+  const format = (q.get("format") || "svg").toLowerCase();
+  if (format !== "svg" && format !== "png") return bad("format must be svg or png");
+
+  const size = q.has("size") ? Number(q.get("size")) : 256;
+  if (!Number.isInteger(size) || size < QR_MIN_SIZE || size > QR_MAX_SIZE) {
+    return bad(`size must be an integer between ${QR_MIN_SIZE} and ${QR_MAX_SIZE}`);
+  }
+
+  const margin = q.has("margin") ? Number(q.get("margin")) : 4;
+  if (!Number.isInteger(margin) || margin < 0 || margin > QR_MAX_MARGIN) {
+    return bad(`margin must be an integer between 0 and ${QR_MAX_MARGIN}`);
+  }
+
+  const ecc = (q.get("ecc") || "M").toUpperCase();
+  if (!["L", "M", "Q", "H"].includes(ecc)) return bad("ecc must be one of L, M, Q, H");
+
+  return { ok: true, format, size, margin, ecc };
+}
+
+// GET /:code.qr：二维码内容是短链本身，不会计入点击
+async function handleQr(req, env, LINKS, u, code) {
+  const opts = parseQrOptions(u);
+  if (!opts.ok) return text(opts.message, opts.status);
+
+  const link = await getLink(LINKS, code);
+  if (!link) return text("Not Found", 404);
+
+  const qr = qrEncode(shortUrlFor(env, u, code), opts.ecc);
+  const headers = { "cache-control": "public, max-age=86400" };
+
+  if (opts.format === "png") {
+    return new Response(await qrPng(qr, opts.size, opts.margin), {
+      headers: { ...headers, "content-type": "image/png" },
+    });
+  }
+  return new Response(qrSvg(qr, opts.size, opts.margin), {
+    headers: { ...headers, "content-type": "image/svg+xml; charset=utf-8" },
+  });
+}
+
+/* -------------------- 定时维护（Cron Triggers） -------------------- */
+
+// 单次运行的 KV 操作预算（单次调用上限约 1000 次，需留出余量）。
+// 每个键最多消耗 MAINT_KEY_OPS 次操作（D: 键为 get、getWithMetadata、读计数与 delete），
+// 每页的条数按剩余预算与最坏情况计算，保证处理完整页后不会超出
+const MAINT_KV_BUDGET = 800;
+const MAINT_KEY_OPS = 4;
+const MAINT_PAGE_SIZE = 100;
+// 报告中最多列出的失效短链
+const MAINT_MAX_DEAD = 100;
+const PROBE_TIMEOUT_MS = 5000;
+
+function probeEnabled(env) {
+  return String(env.PROBE_LINKS || "off").toLowerCase() === "on";
+}
+
+// 每次运行最多探测的目标数；外部 fetch 计入子请求上限（免费版每次调用 50 个）
+function probePerRun(env) {
+  return Math.min(40, Math.max(1, parseInt(env.PROBE_PER_RUN || "20", 10) || 20));
+}
+
+// 返回 HTTP 状态码；网络错误或超时返回 0
+async function probeUrl(url) {
+  const opts = {
+    redirect: "follow",
+    signal: AbortSignal.timeout(PROBE_TIMEOUT_MS),
+    headers: { "user-agent": "cf-shortlink-worker link checker" },
+  };
+  try {
+    let r = await fetch(url, { ...opts, method: "HEAD" });
+    // 部分站点不支持 HEAD，改用 GET 再试
+    if (r.status === 405 || r.status === 501) {
+      r = await fetch(url, { ...opts, method: "GET" });
+      if (r.body) await r.body.cancel();
+    }
+    return r.status;
+  } catch {
+    return 0;
+  }
+}
+
+// D:<sha1> 指向的短码已不存在、目标已改、已失效或已不满足去重条件时删除（与 getDedupCode 的判断相反）
+async function checkDedupKey(LINKS, name) {
+  const code = await LINKS.get(name);
+  const link = code ? await getLink(LINKS, code) : null;
+  if (link && dedupEligible(link) && `D:${await sha1Hex(link.url)}` === name) {
+    const clicks = link.maxClicks ? await getClicks(LINKS, code) : 0;
+    if (linkState(link, clicks) === "ok") return false;
+  }
+  await LINKS.delete(name);
+  return true;
+}
+
+// 探测目标地址，结果写入 flags.dead；恢复正常后清除
+async function probeLink(LINKS, code, value, metadata) {
+  const link = parseLink(value, metadata);
+  const status = await probeUrl(link.url);
+  const dead = status === 0 || status >= 400;
+
+  if (dead) {
+    link.flags = { ...link.flags, dead: { status, checkedAt: Math.floor(Date.now() / 1000) } };
+    await putLink(LINKS, code, link);
+  } else if (link.flags.dead) {
+    link.flags = { ...link.flags };
+    delete link.flags.dead;
+    await putLink(LINKS, code, link);
+  }
+  return dead ? status : null;
+}
+
+function newMaintState() {
+  return {
+    startedAt: Math.floor(Date.now() / 1000),
+    finishedAt: null,
+    cursor: null,
+    runs: 0,
+    scanned: 0,
+    links: 0,
+    dedupPurged: 0,
+    countersPurged: 0,
+    probed: 0,
+    dead: [],
+  };
+}
+
+// 执行一步维护：从上次的游标继续遍历 LINKS；遍历完一轮后把结果写入 M:report 并从头开始。
+// 进行中的状态保存在 M:maint。始终使用原始 binding，在任一域名上执行的都是同一轮全局维护
+async function runMaintenance(env) {
+  const LINKS = (env.LINKS && env.LINKS.raw) || env.LINKS;
+  if (!LINKS) return null;
+
+  const state = (await LINKS.get("M:maint", "json")) || newMaintState();
+  const probing = probeEnabled(env);
+  let probeLeft = probing ? probePerRun(env) : 0;
+  let done = false;
+  // 已读取 M:maint
+  let ops = 1;
+  state.runs++;
+
+  try {
+    for (;;) {
+      // 每页另需 1 次 list，结束时保存状态还需 2 次
+      let limit = Math.min(MAINT_PAGE_SIZE, Math.floor((MAINT_KV_BUDGET - ops - 3) / MAINT_KEY_OPS));
+      // 开启探测时每页不超过剩余探测额度，保证每个短链都会被探测到
+      if (probing) limit = Math.min(limit, probeLeft);
+      if (limit < 1) break;
+
+      const page = await LINKS.list({ limit, cursor: state.cursor || undefined });
+      ops++;
+
+      for (const k of page.keys) {
+        state.scanned++;
+        // 一次遍历覆盖所有域名的命名空间（见 DOMAINS）
+        const { ns, name } = splitNamespacedKey(k.name);
+        const kv = ns ? namespacedKV(LINKS, ns) : LINKS;
+        if (name.startsWith("D:")) {
+          ops += MAINT_KEY_OPS;
+          if (await checkDedupKey(kv, name)) state.dedupPurged++;
+        } else if (name.startsWith("N:")) {
+          // 短链已不存在的点击计数
+          ops += 2;
+          if ((await kv.get(name.slice(2))) === null) {
+            await kv.delete(name);
+            state.countersPurged++;
+          }
+        } else if (isLinkKey(name)) {
+          state.links++;
+          if (!probing) continue;
+          ops += 2;
+          const { value, metadata } = await kv.getWithMetadata(name);
+          if (!value) continue;
+          const status = await probeLink(kv, name, value, metadata);
+          state.probed++;
+          probeLeft--;
+          if (status !== null && state.dead.length < MAINT_MAX_DEAD) {
+            state.dead.push(ns ? { code: name, namespace: ns, status } : { code: name, status });
+          }
+        }
+      }
+
+      state.cursor = page.list_complete ? null : page.cursor;
+      if (!state.cursor) {
+        done = true;
+        break;
+      }
+    }
+  } finally {
+    // 每次运行只在结束时写一次状态（KV 对同一 key 约每秒只允许写一次）；
+    // 中途出错时同样保存已处理完的页，下次从游标处继续
+    if (done) {
+      state.finishedAt = Math.floor(Date.now() / 1000);
+      await LINKS.put("M:report", JSON.stringify(state));
+      await LINKS.delete("M:maint");
+    } else {
+      await LINKS.put("M:maint", JSON.stringify(state));
+    }
+  }
+  return state;
+}
+
+/* -------------------- 管理 API（ADMIN_TOKEN） -------------------- */
+
+// GET /api/links?q= 单次请求最多消耗的 KV 操作数（每页 1 次 list 加每条 1 次 get）
+const ADMIN_SEARCH_KV_BUDGET = 800;
+
+function apiError(status, error, message, extraHeaders) {
+  return json({ error, message }, status, extraHeaders);
+}
+
+// 定长比较，避免通过响应时间逐字符猜测令牌
+function safeEqual(a, b) {
+  const x = new TextEncoder().encode(String(a));
+  const y = new TextEncoder().encode(String(b));
+  if (x.length !== y.length) return false;
+  let diff = 0;
+  for (let i = 0; i < x.length; i++) diff |= x[i] ^ y[i];
+  return diff === 0;
+}
+
+function bearerToken(req) {
+  const m = (req.headers.get("Authorization") || "").match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : null;
+}
+
+// Bearer 令牌，或管理后台的会话 Cookie（需同时带 X-Admin-Session 头：跨站请求无法自定义请求头，以此防 CSRF）
+async function checkAdmin(req, env) {
+  const token = String(env.ADMIN_TOKEN || "");
+  if (!token) return apiError(403, "ADMIN_DISABLED", "Admin API is disabled (ADMIN_TOKEN not set)");
+  const bearer = bearerToken(req);
+  if (bearer && safeEqual(bearer, token)) return null;
+  if (!bearer && req.headers.get("X-Admin-Session") === "1" && (await verifySession(req, env))) return null;
+  return apiError(401, "UNAUTHORIZED", "Invalid or missing admin token");
+}
+
+// 删除短链及其计数、去重映射与访问记录（管理接口与 API Key 共用）
+async function deleteLink(env, code, link, ctx) {
+  const LINKS = env.LINKS;
+  await LINKS.delete(code);
+  await LINKS.delete(`N:${code}`);
+  await dropDedupCode(LINKS, link.url, code);
+  // 访问记录可能很多，放到后台清理；未清完的部分会按保留期自然过期
+  ctx.waitUntil(purgeStats(statsKV(env), code).catch(() => {}));
+}
+
+// ?days=30&bots=1
+async function statsJson(STATS, code, u) {
+  const days = Math.min(365, Math.max(1, parseInt(u.searchParams.get("days") || "30", 10) || 30));
+  const stats = await linkStats(STATS, code, days, u.searchParams.get("bots") === "1");
+  return { code, days, ...stats };
+}
+
+// KV 中除短码外还有 D:<sha1> 等内部键，短码本身不会包含 ":"
+function isLinkKey(name) {
+  return !name.includes(":");
+}
+
+async function handleAdminApi(req, env, LINKS, u, ctx) {
+  const denied = await checkAdmin(req, env);
+  if (denied) return denied;
+  if (!LINKS) return apiError(500, "KV_MISSING", "KV binding LINKS not found");
+
+  const path = u.pathname;
+
+  // POST /api/admin/migrate?cursor=：每次迁移一页旧格式记录
+  if (path === "/api/admin/migrate") {
+    if (req.method !== "POST") return apiError(405, "METHOD_NOT_ALLOWED", "Method not allowed");
+    return json(await migrateLinks(LINKS, u.searchParams.get("cursor") || undefined));
+  }
+
+  // GET /api/admin/maintenance：最近一轮完成的维护报告与进行中的状态；POST 立即执行一步
+  if (path === "/api/admin/maintenance") {
+    if (req.method === "POST") return json(await runMaintenance(env));
+    if (req.method !== "GET") return apiError(405, "METHOD_NOT_ALLOWED", "Method not allowed");
+    const [report, current] = await Promise.all([LINKS.get("M:report", "json"), LINKS.get("M:maint", "json")]);
+    return json({ report, current });
+  }
+
+  // /api/admin/keys[/:id]：API Key 管理
+  const km = path.match(/^\/api\/admin\/keys(?:\/([^/]+))?$/);
+  if (km) return handleApiKeys(req, LINKS, km[1]);
+
+  // GET /api/admin/export、POST /api/admin/import：导出与导入
+  if (path === "/api/admin/export") return handleExport(req, LINKS, u);
+  if (path === "/api/admin/import") return handleImport(req, env, LINKS, u);
+
+  // /api/admin/blocklist[/:host]：本地黑名单
+  const bm = path.match(/^\/api\/admin\/blocklist(?:\/([^/]+))?$/);
+  if (bm) return handleBlocklist(req, LINKS, u, bm[1]);
+
+  // GET /api/links?cursor=&limit=&q=
+  if (path === "/api/links") {
+    if (req.method !== "GET") return apiError(405, "METHOD_NOT_ALLOWED", "Method not allowed");
+
+    const limit = Math.min(100, Math.max(1, parseInt(u.searchParams.get("limit") || "50", 10) || 50));
+    const cursor = u.searchParams.get("cursor") || undefined;
+    const q = (u.searchParams.get("q") || "").trim().toLowerCase();
+    const match = (l) => !q || [l.code, l.url, l.title, ...l.tags].some((x) => x.toLowerCase().includes(q));
+
+    // KV 不支持按内容查询：带 q 时逐页读取并过滤，直到凑够 limit 条、读完或用完 KV 操作预算。
+    // 用完预算时结果可能少于 limit（甚至为空）但 cursor 仍不为 null，需要带 cursor 继续查询
+    const links = [];
+    let next = cursor;
+    let ops = 0;
+    do {
+      const page = await LINKS.list({ limit, cursor: next });
+      const keys = page.keys.filter((k) => isLinkKey(k.name));
+      const values = await Promise.all(keys.map((k) => LINKS.get(k.name)));
+      ops += 1 + keys.length;
+      keys.forEach((k, i) => {
+        const l = values[i] ? linkJson(k.name, parseLink(values[i], k.metadata)) : null;
+        if (l && match(l)) links.push(l);
+      });
+      next = page.list_complete ? null : page.cursor;
+    } while (q && next && links.length < limit && ops + 1 + limit <= ADMIN_SEARCH_KV_BUDGET);
+
+    return json({ links, cursor: next });
+  }
+
+  // /api/links/:code[/stats]
+  const m = path.match(/^\/api\/links\/([^/]+)(\/stats)?$/);
+  if (!m || !CODE_RE.test(m[1])) return apiError(404, "NOT_FOUND", "Not Found");
+
+  const code = m[1];
+  const link = await getLink(LINKS, code);
+  if (!link) return apiError(404, "NOT_FOUND", "Link not found");
+  const longUrl = link.url;
+
+  // GET /api/links/:code/stats?days=30&bots=1
+  if (m[2]) {
+    if (req.method !== "GET") return apiError(405, "METHOD_NOT_ALLOWED", "Method not allowed");
+    return json(await statsJson(statsKV(env), code, u));
+  }
+
+  if (req.method === "GET") {
+    const clicks = await getClicks(LINKS, code);
+    return json({ ...linkJson(code, link), ipHash: link.ipHash, clicks, state: linkState(link, clicks) });
+  }
+
+  if (req.method === "PATCH") {
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return apiError(400, "INVALID_JSON", "Invalid JSON body");
+    }
+    if (!body || typeof body !== "object") return apiError(400, "INVALID_JSON", "Invalid JSON body");
+
+    const next = body.url === undefined ? longUrl : body.url;
+    if (typeof next !== "string" || next.length > 8192 || !isHttpUrl(next)) {
+      return apiError(400, "INVALID_URL", "url must be a valid http/https URL");
+    }
+    const info = parseLinkInfo((k) => body[k]);
+    if (!info.ok) return apiError(400, info.error, info.message);
+    const pw = parsePassword(body.password === null ? "" : body.password);
+    if (!pw.ok) return apiError(400, pw.error, pw.message);
+    const pv = parsePreview((k) => body[k]);
+    if (!pv.ok) return apiError(400, pv.error, pv.message);
+    const rd = parseRedirect((k) => body[k]);
+    if (!rd.ok) return apiError(400, rd.error, rd.message);
+    const pt = parsePassthrough((k) => body[k]);
+    if (!pt.ok) return apiError(400, pt.error, pt.message);
+    const rs = parseRules((k) => body[k]);
+    if (!rs.ok) return apiError(400, rs.error, rs.message);
+    const ab = parseVariants((k) => body[k]);
+    if (!ab.ok) return apiError(400, ab.error, ab.message);
+    const disabled = body.disabled === undefined ? undefined : parseBool(body.disabled);
+    if (disabled === null) return apiError(400, "INVALID_DISABLED", "disabled must be a boolean");
+
+    // 只改动传入的字段，其余（有效期、点击上限等）保持不变；旧格式记录顺带升级为 v1
+    const updated = { ...link, url: next };
+    if (info.title !== undefined) updated.title = info.title;
+    if (info.tags !== undefined) updated.tags = info.tags;
+    // password: 新密码；null 或 "" 表示取消密码保护；不传则保持不变
+    if (body.password !== undefined) updated.pwd = pw.password ? await hashPassword(pw.password) : null;
+    updated.flags = { ...link.flags };
+    if (pv.preview !== undefined) {
+      if (pv.preview) updated.flags.preview = true;
+      else delete updated.flags.preview;
+    }
+    // redirect: null 表示恢复使用全局 REDIRECT_STATUS
+    if (rd.redirect !== undefined) {
+      if (rd.redirect) updated.flags.redirect = rd.redirect;
+      else delete updated.flags.redirect;
+    }
+    applyPassthrough(updated.flags, pt);
+    if (rs.rules !== undefined) updated.rules = rs.rules;
+    if (ab.variants !== undefined) updated.variants = ab.variants;
+    if (ab.sticky !== undefined) {
+      if (ab.sticky) updated.flags.sticky = true;
+      else delete updated.flags.sticky;
+    }
+    // 停用的短链访问时返回 410，数据保留，可随时恢复
+    if (disabled !== undefined) {
+      if (disabled) updated.flags.disabled = true;
+      else delete updated.flags.disabled;
+    }
+    await putLink(LINKS, code, updated);
+
+    // 旧的去重映射不再对应这个短码的目标，或修改后的短链（加了密码、规则、预览等，或已停用）不再满足去重条件，直接移除
+    if (next !== longUrl || !dedupEligible(updated)) await dropDedupCode(LINKS, longUrl, code);
+    return json(linkJson(code, { ...updated, v: LINK_VERSION }));
+  }
+
+  if (req.method === "DELETE") {
+    await deleteLink(env, code, link, ctx);
+    return new Response(null, { status: 204 });
+  }
+
+  return apiError(405, "METHOD_NOT_ALLOWED", "Method not allowed");
+}
+
+/* -------------------- 管理后台（/admin） -------------------- */
+
+// 会话 Cookie 为 "<过期时间>.<HMAC>"，以 ADMIN_TOKEN 为密钥签名，无需在 KV 中保存；更换 ADMIN_TOKEN 即令所有会话失效
+const ADMIN_SESSION_COOKIE = "admin_session";
+const ADMIN_SESSION_SEC = 12 * 3600;
+const ADMIN_UI_HEADERS = { "cache-control": "no-store", "x-frame-options": "DENY" };
+
+async function hmacHex(secret, message) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, [
+    "sign",
+  ]);
+  const sig = new Uint8Array(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(message)));
+  let hex = "";
+  for (const b of sig) hex += b.toString(16).padStart(2, "0");
+  return hex;
+}
+
+async function createSession(env) {
+  const exp = Math.floor(Date.now() / 1000) + ADMIN_SESSION_SEC;
+  return `${exp}.${await hmacHex(env.ADMIN_TOKEN, `admin:${exp}`)}`;
+}
+
+async function verifySession(req, env) {
+  const m = /^(\d+)\.([0-9a-f]{64})$/.exec(readCookie(req, ADMIN_SESSION_COOKIE) || "");
+  if (!m || !env.ADMIN_TOKEN || parseInt(m[1], 10) <= Math.floor(Date.now() / 1000)) return false;
+  return safeEqual(m[2], await hmacHex(env.ADMIN_TOKEN, `admin:${m[1]}`));
+}
+
+function sessionCookie(value, maxAge) {
+  return `${ADMIN_SESSION_COOKIE}=${value}; Path=/; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Strict`;
+}
+
+// 登录时可以输入 ADMIN_TOKEN，或单独设置的 ADMIN_PASSPHRASE
+function checkLogin(env, secret) {
+  if (typeof secret !== "string" || !secret) return false;
+  if (safeEqual(secret, env.ADMIN_TOKEN)) return true;
+  return !!env.ADMIN_PASSPHRASE && safeEqual(secret, env.ADMIN_PASSPHRASE);
+}
+
+// GET /admin、POST /admin/login、POST /admin/logout
+async function handleAdminUi(req, env, u) {
+  if (!env.ADMIN_TOKEN) return text("Admin is disabled (ADMIN_TOKEN not set)", 403);
+  const path = u.pathname.replace(/\/+$/, "") || "/admin";
+
+  if (path === "/admin" && req.method === "GET") {
+    const ok = await verifySession(req, env);
+    return html(ok ? adminHtml(env) : adminLoginHtml(env), 200, ADMIN_UI_HEADERS);
+  }
+
+  if (path === "/admin/login" && req.method === "POST") {
+    // 按 IP 限制登录失败次数，与访问密码共用 PWD_MAX_TRIES / PWD_WINDOW_SEC
+    const rlOpts = { ...pwdLimitOpts(env, getClientIp(req)), scope: "login" };
+    const rl = await rateLimit(req, env, { ...rlOpts, cost: 0 });
+    if (!rl.ok) return html(adminLoginHtml(env, "pwdLocked"), 429, { ...ADMIN_UI_HEADERS, ...rlHeaders(rl) });
+
+    let secret = null;
+    try {
+      secret = (await req.formData()).get("token");
+    } catch {}
+    if (!checkLogin(env, secret)) {
+      await rateLimit(req, env, rlOpts);
+      return html(adminLoginHtml(env, "adminLoginWrong"), 401, ADMIN_UI_HEADERS);
+    }
+    return new Response(null, {
+      status: 303,
+      headers: { location: "/admin", "set-cookie": sessionCookie(await createSession(env), ADMIN_SESSION_SEC) },
+    });
+  }
+
+  if (path === "/admin/logout" && req.method === "POST") {
+    return new Response(null, { status: 303, headers: { location: "/admin", "set-cookie": sessionCookie("", 0) } });
+  }
+
+  return text("Not Found", 404);
+}
+
+/* -------------------- API Key -------------------- */
+
+// K:<id> 保存 Key 记录 { id, hash, name, owner, scopes, quota, createdAt }，明文 Key 只在创建时返回一次。
+// id 为 Key 的 SHA-256 前 16 位十六进制，用于查找，也是对外展示的 Key 标识
+const API_KEY_SCOPES = ["create", "stats", "delete"];
+const OWNER_RE = /^[A-Za-z0-9_.@-]{1,64}$/;
+
+function requireApiKey(env) {
+  return String(env.REQUIRE_API_KEY || "off").toLowerCase() === "on";
+}
+
+// 校验 Authorization: Bearer <key> 并检查 scope。
+// required=false 时允许匿名，返回 { ok: true, key: null }；失败返回 { ok: false, status, error, message }
+async function authApiKey(req, LINKS, scope, required) {
+  const token = bearerToken(req);
+  if (!token) {
+    if (!required) return { ok: true, key: null };
+    return { ok: false, status: 401, error: "API_KEY_REQUIRED", message: "An API key is required" };
+  }
+
+  const hash = await digestHex("SHA-256", token);
+  const key = await LINKS.get(`K:${hash.slice(0, 16)}`, "json");
+  if (!key || !safeEqual(key.hash, hash)) {
+    return { ok: false, status: 401, error: "INVALID_API_KEY", message: "Invalid API key" };
+  }
+  if (!key.scopes.includes(scope)) {
+    return { ok: false, status: 403, error: "INSUFFICIENT_SCOPE", message: `API key lacks the "${scope}" scope` };
+  }
+  return { ok: true, key };
+}
+
+// 使用 Key 时按 Key 单独限流（可自定义配额），否则按 IP
+function keyLimitOpts(key) {
+  if (!key) return {};
+  const q = key.quota || {};
+  return { scope: "key", key: key.id, maxReq: q.maxReq, windowSec: q.windowSec };
+}
+
+function publicKey(rec) {
+  return { id: rec.id, name: rec.name, owner: rec.owner, scopes: rec.scopes, quota: rec.quota, createdAt: rec.createdAt };
+}
+
+// 解析创建 Key 的请求体：{ name, owner, scopes, quota: { maxReq, windowSec } }
+function parseKeySpec(body) {
+  const bad = (message) => ({ ok: false, error: "INVALID_KEY_SPEC", message });
+  const name = body.name === undefined ? "" : body.name;
+  if (typeof name !== "string" || name.length > 100) return bad("name must be a string of at most 100 chars");
+
+  const owner = body.owner === undefined ? null : body.owner;
+  if (owner !== null && (typeof owner !== "string" || !OWNER_RE.test(owner))) {
+    return bad("owner must be 1-64 chars of A-Z a-z 0-9 _ . @ -");
+  }
+
+  const scopes = body.scopes === undefined ? ["create"] : body.scopes;
+  if (!Array.isArray(scopes) || !scopes.length || scopes.some((x) => !API_KEY_SCOPES.includes(x))) {
+    return bad(`scopes must be a non-empty subset of ${API_KEY_SCOPES.join(", ")}`);
+  }
+
+  let quota = null;
+  if (body.quota !== undefined && body.quota !== null) {
+    const { maxReq, windowSec } = body.quota;
+    if (!Number.isInteger(maxReq) || maxReq < 1 || maxReq > 100000) return bad("quota.maxReq must be an integer between 1 and 100000");
+    if (windowSec !== undefined && (!Number.isInteger(windowSec) || windowSec < 10 || windowSec > 86400)) {
+      return bad("quota.windowSec must be an integer between 10 and 86400");
+    }
+    quota = { maxReq, windowSec: windowSec || null };
+  }
+
+  return { ok: true, name: name.trim(), owner, scopes: [...new Set(scopes)], quota };
+}
+
+// POST/GET /api/admin/keys、GET/DELETE /api/admin/keys/:id
+async function handleApiKeys(req, LINKS, id) {
+  if (id === undefined) {
+    if (req.method === "GET") {
+      // Key 数量通常不多，list 的 metadata 里已有除哈希外的全部字段
+      const keys = [];
+      let cursor;
+      do {
+        const page = await LINKS.list({ prefix: "K:", cursor });
+        for (const k of page.keys) if (k.metadata) keys.push(k.metadata);
+        cursor = page.list_complete ? null : page.cursor;
+      } while (cursor);
+      return json({ keys });
+    }
+
+    if (req.method === "POST") {
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        body = null;
+      }
+      if (!body || typeof body !== "object" || Array.isArray(body)) return apiError(400, "INVALID_JSON", "Body must be a JSON object");
+      const spec = parseKeySpec(body);
+      if (!spec.ok) return apiError(400, spec.error, spec.message);
+
+      const token = "sk_" + bytesToB64(crypto.getRandomValues(new Uint8Array(24))).replace(/\+/g, "-").replace(/\//g, "_");
+      const hash = await digestHex("SHA-256", token);
+      const rec = {
+        id: hash.slice(0, 16),
+        hash,
+        name: spec.name,
+        owner: spec.owner || hash.slice(0, 16),
+        scopes: spec.scopes,
+        quota: spec.quota,
+        createdAt: Math.floor(Date.now() / 1000),
+      };
+      await LINKS.put(`K:${rec.id}`, JSON.stringify(rec), { metadata: publicKey(rec) });
+      return json({ ...publicKey(rec), key: token }, 201);
+    }
+
+    return apiError(405, "METHOD_NOT_ALLOWED", "Method not allowed");
+  }
+
+  const rec = /^[0-9a-f]{16}$/.test(id) ? await LINKS.get(`K:${id}`, "json") : null;
+  if (!rec) return apiError(404, "NOT_FOUND", "API key not found");
+
+  if (req.method === "GET") return json(publicKey(rec));
+  if (req.method === "DELETE") {
+    // 吊销后 KV 各节点的缓存可能还要约 60 秒才会失效
+    await LINKS.delete(`K:${id}`);
+    return new Response(null, { status: 204 });
+  }
+  return apiError(405, "METHOD_NOT_ALLOWED", "Method not allowed");
+}
+
+/* -------------------- 人机验证（CHALLENGE_MODE=turnstile/pow） -------------------- */
+
+// 匿名创建短链前须通过人机验证，带 API Key 的请求不受影响。
+// turnstile：首页放置 Cloudflare Turnstile 组件，服务端调用 siteverify 校验 token；
+// pow：GET /api/v1/challenge 下发签名的题目，客户端找到 nonce 使 SHA-256("<题目>:<nonce>") 前 N 位为 0。
+// token 通过 X-Challenge-Token 头提交，/short 也可以用表单字段 challenge
+const TURNSTILE_VERIFY_URL = "https://challenges.cloudflare.com/turnstile/v0/siteverify";
+const POW_TTL_SEC = 300;
+
+function challengeMode(env) {
+  const mode = String(env.CHALLENGE_MODE || "off").toLowerCase();
+  return mode === "turnstile" || mode === "pow" ? mode : "off";
+}
+
+function powDifficulty(env) {
+  return Math.min(24, Math.max(1, parseInt(env.POW_DIFFICULTY || "16", 10) || 16));
+}
+
+// 题目为 "<过期时间>.<难度>.<随机串>.<HMAC>"，以 POW_SECRET 签名，无需在 KV 中保存
+async function createPowChallenge(env) {
+  const exp = Math.floor(Date.now() / 1000) + POW_TTL_SEC;
+  const bits = powDifficulty(env);
+  const salt = crypto.randomUUID().replace(/-/g, "");
+  const payload = `${exp}.${bits}.${salt}`;
+  return { challenge: `${payload}.${await hmacHex(env.POW_SECRET, `pow:${payload}`)}`, difficulty: bits, expiresAt: exp };
+}
+
+function leadingZeroBits(hex) {
+  let bits = 0;
+  for (const ch of hex) {
+    const v = parseInt(ch, 16);
+    if (v) return bits + Math.clz32(v) - 28;
+    bits += 4;
+  }
+  return bits;
+}
+
+async function verifyPow(env, token) {
+  const failed = { ok: false, status: 403, error: "CHALLENGE_FAILED", message: "Invalid or expired challenge solution" };
+  const m = /^((\d+)\.(\d+)\.[0-9a-f]{32})\.([0-9a-f]{64}):[A-Za-z0-9]{1,32}$/.exec(token);
+  if (!m) return failed;
+
+  const now = Math.floor(Date.now() / 1000);
+  const exp = parseInt(m[2], 10);
+  if (exp <= now || !safeEqual(m[4], await hmacHex(env.POW_SECRET, `pow:${m[1]}`))) return failed;
+
+  const hash = await digestHex("SHA-256", token);
+  if (leadingZeroBits(hash) < parseInt(m[3], 10)) return failed;
+
+  // 每个解只能用一次：在 Cache API 中记录到题目过期为止（按机房隔离，与限流相同）
+  const cache = caches.default;
+  const cacheKey = new Request(`https://challenge.local/pow/${hash}`);
+  if (await cache.match(cacheKey)) return failed;
+  await cache.put(cacheKey, new Response("1", { headers: { "cache-control": `public, max-age=${exp - now}` } }));
+  return { ok: true };
+}
+
+// 调用 Turnstile siteverify；地址可用 TURNSTILE_VERIFY_URL 覆盖，便于本地测试时换成桩服务。
+// 返回 siteverify 的 JSON：{ success, "error-codes": [...] }
+async function siteverify(env, token, ip) {
+  const body = new FormData();
+  body.set("secret", env.TURNSTILE_SECRET_KEY);
+  body.set("response", token);
+  if (ip !== "0.0.0.0") body.set("remoteip", ip);
+
+  const resp = await fetch(env.TURNSTILE_VERIFY_URL || TURNSTILE_VERIFY_URL, { method: "POST", body });
+  if (!resp.ok) throw new Error(`siteverify responded ${resp.status}`);
+  return resp.json();
+}
+
+// key 为已通过校验的 API Key（匿名为 null）；失败返回 { ok: false, status, error, message }
+async function checkChallenge(req, env, key, token) {
+  const mode = challengeMode(env);
+  if (mode === "off" || key) return { ok: true };
+
+  const secret = mode === "turnstile" ? "TURNSTILE_SECRET_KEY" : "POW_SECRET";
+  if (!env[secret]) {
+    return { ok: false, status: 500, error: "CHALLENGE_MISCONFIGURED", message: `CHALLENGE_MODE=${mode} requires ${secret}` };
+  }
+  if (typeof token !== "string" || !token || token.length > 2048) {
+    return { ok: false, status: 403, error: "CHALLENGE_REQUIRED", message: "Complete the challenge before creating a link" };
+  }
+
+  if (mode === "pow") return verifyPow(env, token);
+
+  let result;
+  try {
+    result = await siteverify(env, token, getClientIp(req));
+  } catch {
+    return { ok: false, status: 503, error: "CHALLENGE_UNAVAILABLE", message: "Challenge verification is unavailable. Please try again later." };
+  }
+  if (!result || result.success !== true) {
+    return { ok: false, status: 403, error: "CHALLENGE_FAILED", message: "Challenge verification failed" };
+  }
+  return { ok: true };
+}
+
+// GET /api/v1/challenge：告诉客户端需要哪种验证；pow 模式同时下发一道新题目
+async function handleChallenge(env) {
+  const mode = challengeMode(env);
+  let out = { mode };
+  if (mode === "turnstile") out.siteKey = env.TURNSTILE_SITE_KEY || null;
+  if (mode === "pow") {
+    if (!env.POW_SECRET) return apiError(500, "CHALLENGE_MISCONFIGURED", "CHALLENGE_MODE=pow requires POW_SECRET");
+    out = { mode, ...(await createPowChallenge(env)) };
+  }
+  return json(out, 200, { "cache-control": "no-store" });
+}
+
+/* -------------------- JSON API v1 -------------------- */
+
+// /api/v1 的错误码，同时写入 OpenAPI 文档
+const API_ERROR_CODES = [
+  "INVALID_JSON",
+  "UNSUPPORTED_MEDIA_TYPE",
+  "INVALID_URL",
+  "URL_TOO_LONG",
+  "ALIAS_INVALID",
+  "ALIAS_RESERVED",
+  "ALIAS_TAKEN",
+  "INVALID_EXPIRY",
+  "INVALID_MAX_CLICKS",
+  "INVALID_TITLE",
+  "INVALID_TAGS",
+  "INVALID_PASSWORD",
+  "INVALID_PREVIEW",
+  "INVALID_REDIRECT",
+  "INVALID_PASSTHROUGH",
+  "INVALID_UTM",
+  "INVALID_RULES",
+  "INVALID_VARIANTS",
+  "INVALID_DISABLED",
+  "URL_CREDENTIALS",
+  "PRIVATE_ADDRESS",
+  "SELF_REFERENCE",
+  "HOST_NOT_ALLOWED",
+  "HOST_BLOCKED",
+  "SHORTENER_BLOCKED",
+  "INVALID_HOST",
+  "API_KEY_REQUIRED",
+  "INVALID_API_KEY",
+  "INSUFFICIENT_SCOPE",
+  "CHALLENGE_REQUIRED",
+  "CHALLENGE_FAILED",
+  "CHALLENGE_UNAVAILABLE",
+  "CHALLENGE_MISCONFIGURED",
+  "NOT_OWNER",
+  "INVALID_KEY_SPEC",
+  "INVALID_BATCH",
+  "KV_BUDGET_EXCEEDED",
+  "RATE_LIMITED",
+  "CODE_ALLOCATION_FAILED",
+  "KV_MISSING",
+  "UNAUTHORIZED",
+  "ADMIN_DISABLED",
+  "NOT_FOUND",
+  "METHOD_NOT_ALLOWED",
+];
+
+function apiLinkJson(env, u, code, link) {
+  return {
+    code,
+    shortUrl: shortUrlFor(env, u, code),
+    url: link.url,
+    owner: link.owner || null,
+    title: link.title,
+    tags: link.tags,
+    createdAt: link.createdAt || null,
+    expiresAt: link.expiresAt || null,
+    maxClicks: link.maxClicks || null,
+    protected: !!link.pwd,
+    preview: !!link.flags.preview,
+    redirect: link.flags.redirect || null,
+    passQuery: link.flags.passQuery || "off",
+    prefix: !!link.flags.prefix,
+    rules: link.rules,
+    variants: link.variants,
+    sticky: !!link.flags.sticky,
+  };
+}
+
+async function handleApiV1(req, env, LINKS, u, ctx) {
+  const path = u.pathname;
+
+  // CORS 预检
+  if (req.method === "OPTIONS") {
+    return withCors(req, new Response(null, { status: 204 }), env);
+  }
+
+  if (path === "/api/v1/openapi.json") {
+    if (req.method !== "GET") return withCors(req, apiError(405, "METHOD_NOT_ALLOWED", "Method not allowed"), env);
+    return withCors(req, json(openApiDoc(env, u)), env);
+  }
+
+  if (path === "/api/v1/challenge") {
+    if (req.method !== "GET") return withCors(req, apiError(405, "METHOD_NOT_ALLOWED", "Method not allowed"), env);
+    return withCors(req, await handleChallenge(env), env);
+  }
+
+  // POST /api/v1/links
+  if (path === "/api/v1/links") {
+    if (req.method !== "POST") return withCors(req, apiError(405, "METHOD_NOT_ALLOWED", "Method not allowed"), env);
+    if (!LINKS) return withCors(req, apiError(500, "KV_MISSING", "KV binding LINKS not found"), env);
+
+    const auth = await authApiKey(req, LINKS, "create", requireApiKey(env));
+    if (!auth.ok) return withCors(req, apiError(auth.status, auth.error, auth.message), env);
+
+    // 匿名请求与 /short 共用同一个 IP 限流计数；带 Key 时按 Key 计数
+    const rl = await rateLimit(req, env, keyLimitOpts(auth.key));
+    if (!rl.ok) {
+      return withCors(req, apiError(429, "RATE_LIMITED", "Rate limited. Please try again later.", rlHeaders(rl)), env);
+    }
+
+    if (!/^application\/json\b/i.test(req.headers.get("Content-Type") || "")) {
+      return withCors(req, apiError(415, "UNSUPPORTED_MEDIA_TYPE", "Content-Type must be application/json", rlHeaders(rl)), env);
+    }
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      body = null;
+    }
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      return withCors(req, apiError(400, "INVALID_JSON", "Body must be a JSON object", rlHeaders(rl)), env);
+    }
+
+    const ch = await checkChallenge(req, env, auth.key, req.headers.get("X-Challenge-Token"));
+    if (!ch.ok) return withCors(req, apiError(ch.status, ch.error, ch.message, rlHeaders(rl)), env);
+
+    const r = await createLink(req, env, LINKS, body.url, (k) => body[k], auth.key ? auth.key.owner : "");
+    if (!r.ok) return withCors(req, apiError(r.status, r.error, r.message, rlHeaders(rl)), env);
+
+    // 201 新建；200 表示命中去重，返回已有短链
+    const out = apiLinkJson(env, u, r.code, r.link);
+    return withCors(req, json(out, r.created ? 201 : 200, { ...rlHeaders(rl), Location: out.shortUrl }), env);
+  }
+
+  // POST /api/v1/links/bulk
+  if (path === "/api/v1/links/bulk") {
+    if (req.method !== "POST") return withCors(req, apiError(405, "METHOD_NOT_ALLOWED", "Method not allowed"), env);
+    if (!LINKS) return withCors(req, apiError(500, "KV_MISSING", "KV binding LINKS not found"), env);
+    const auth = await authApiKey(req, LINKS, "create", requireApiKey(env));
+    if (!auth.ok) return withCors(req, apiError(auth.status, auth.error, auth.message), env);
+    return withCors(req, await handleBulk(req, env, LINKS, u, auth.key), env);
+  }
+
+  // /api/v1/links/:code[/stats]：API Key 管理自己创建的短链
+  const m = path.match(/^\/api\/v1\/links\/([^/]+)(\/stats)?$/);
+  if (m && CODE_RE.test(m[1])) {
+    if (!LINKS) return withCors(req, apiError(500, "KV_MISSING", "KV binding LINKS not found"), env);
+    return withCors(req, await handleOwnLink(req, env, LINKS, u, ctx, m[1], !!m[2]), env);
+  }
+
+  return withCors(req, apiError(404, "NOT_FOUND", "Not Found"), env);
+}
+
+// GET /api/v1/links/:code、GET .../stats（scope: stats），DELETE（scope: delete）；只能操作 owner 相同的短链
+async function handleOwnLink(req, env, LINKS, u, ctx, code, stats) {
+  const scope = req.method === "GET" ? "stats" : req.method === "DELETE" && !stats ? "delete" : null;
+  if (!scope) return apiError(405, "METHOD_NOT_ALLOWED", "Method not allowed");
+
+  const auth = await authApiKey(req, LINKS, scope, true);
+  if (!auth.ok) return apiError(auth.status, auth.error, auth.message);
+
+  const rl = await rateLimit(req, env, keyLimitOpts(auth.key));
+  if (!rl.ok) return apiError(429, "RATE_LIMITED", "Rate limited. Please try again later.", rlHeaders(rl));
+
+  const link = await getLink(LINKS, code);
+  if (!link) return apiError(404, "NOT_FOUND", "Link not found", rlHeaders(rl));
+  if (link.owner !== auth.key.owner) {
+    return apiError(403, "NOT_OWNER", "This link was not created by this API key's owner", rlHeaders(rl));
+  }
+
+  if (stats) return json(await statsJson(statsKV(env), code, u), 200, rlHeaders(rl));
+  if (req.method === "GET") {
+    const clicks = await getClicks(LINKS, code);
+    return json({ ...apiLinkJson(env, u, code, link), clicks, state: linkState(link, clicks) }, 200, rlHeaders(rl));
+  }
+
+  await deleteLink(env, code, link, ctx);
+  return new Response(null, { status: 204, headers: rlHeaders(rl) });
+}
+
+/* -------------------- 批量创建 -------------------- */
+
+// 简易 CSV 解析（RFC 4180：支持引号、转义引号与字段内换行）
+function parseCsv(input) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // 去掉空行
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+// CSV 每行为 url[,alias]；首行为 url 开头的表头时按列名读取其余字段
+function csvToItems(textBody) {
+  const rows = parseCsv(textBody);
+  if (!rows.length) return [];
+
+  const first = rows[0].map((c) => c.trim());
+  if (first[0].toLowerCase() === "url") {
+    return rows.slice(1).map((r) => {
+      const item = {};
+      first.forEach((name, i) => {
+        if (name && r[i] !== undefined && r[i].trim() !== "") item[name] = r[i].trim();
+      });
+      return item;
+    });
+  }
+  return rows.map((r) => ({ url: (r[0] || "").trim(), alias: (r[1] || "").trim() }));
+}
+
+// 批量创建单次请求最多消耗的 KV 操作数，留出余量给鉴权等；超出的条目不创建，以 KV_BUDGET_EXCEEDED 失败返回
+const BULK_KV_BUDGET = 900;
+
+// 创建一条最多需要的 KV 操作数：每个目标地址（含规则与分流）的黑名单查询，
+// 别名检查或去重查询与分配短码（碰撞时最多 CODE_MAX_TRIES 次），写入记录与去重映射
+function bulkItemOps(item) {
+  const get = (k) => item[k];
+  const rs = parseRules(get);
+  const ab = parseVariants(get);
+  const urls = [item.url, ...((rs.ok && rs.rules) || []).map((r) => r.url), ...((ab.ok && ab.variants) || []).map((v) => v.url)];
+  let ops = item.alias ? 2 : 2 + CODE_MAX_TRIES + 2;
+  for (const url of urls) {
+    try {
+      ops += blocklistNames(new URL(url).hostname.toLowerCase().replace(/\.$/, "")).length;
+    } catch {}
+  }
+  return ops;
+}
+
+// 经由它的每次 KV 操作都调用 onOp，用于按实际消耗扣减预算
+function countingKV(LINKS, onOp) {
+  const wrap = (name) => (...args) => {
+    onOp();
+    return LINKS[name](...args);
+  };
+  return { get: wrap("get"), getWithMetadata: wrap("getWithMetadata"), put: wrap("put"), delete: wrap("delete"), list: wrap("list") };
+}
+
+async function handleBulk(req, env, LINKS, u, key) {
+  const maxItems = Math.max(1, parseInt(env.BULK_MAX_ITEMS || "100", 10) || 100);
+  const perReq = Math.max(1, parseInt(env.BULK_ITEMS_PER_REQ || "10", 10) || 10);
+
+  // 先解析再限流：需要根据条数计算消耗
+  const ctype = req.headers.get("Content-Type") || "";
+  let items;
+  if (/^application\/json\b/i.test(ctype)) {
+    try {
+      items = await req.json();
+    } catch {
+      items = null;
+    }
+    if (!Array.isArray(items)) return apiError(400, "INVALID_JSON", "Body must be a JSON array");
+  } else if (/^text\/(csv|plain)\b/i.test(ctype)) {
+    items = csvToItems(await req.text());
+  } else {
+    return apiError(415, "UNSUPPORTED_MEDIA_TYPE", "Content-Type must be application/json or text/csv");
+  }
+
+  if (!items.length) return apiError(400, "INVALID_BATCH", "No items");
+  if (items.length > maxItems) {
+    return apiError(400, "INVALID_BATCH", `At most ${maxItems} items per request`);
+  }
+
+  // 按条数折算限流消耗，单次最多占满一个窗口
+  const limitOpts = keyLimitOpts(key);
+  const cost = Math.min(limitOpts.maxReq || rlMaxReq(env), Math.ceil(items.length / perReq));
+  const rl = await rateLimit(req, env, { ...limitOpts, cost });
+  if (!rl.ok) return apiError(429, "RATE_LIMITED", "Rate limited. Please try again later.", rlHeaders(rl));
+
+  // 整批只需通过一次人机验证
+  const ch = await checkChallenge(req, env, key, req.headers.get("X-Challenge-Token"));
+  if (!ch.ok) return apiError(ch.status, ch.error, ch.message, rlHeaders(rl));
+
+  // 顺序处理：同一批内的别名冲突与去重都能看到前面写入的结果
+  const results = [];
+  // 已用的 KV 操作数；每条先按最坏情况预留，处理完按实际消耗计入
+  let ops = 0;
+  const kv = countingKV(LINKS, () => ops++);
+  for (let i = 0; i < items.length; i++) {
+    const raw = items[i];
+    const item = typeof raw === "string" ? { url: raw } : raw;
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      results.push({ index: i, ok: false, status: 400, error: "INVALID_URL", message: "Item must be a URL string or an object" });
+      continue;
+    }
+    if (ops + bulkItemOps(item) > BULK_KV_BUDGET) {
+      results.push({ index: i, ok: false, url: item.url, status: 413, error: "KV_BUDGET_EXCEEDED", message: "Not created: too many items for one request, send this item again" });
+      continue;
+    }
+
+    const r = await createLink(req, env, kv, item.url, (k) => item[k], key ? key.owner : "");
+    if (r.ok) {
+      results.push({ index: i, ok: true, created: r.created, ...apiLinkJson(env, u, r.code, r.link) });
+    } else {
+      results.push({ index: i, ok: false, url: item.url, status: r.status, error: r.error, message: r.message });
+    }
+  }
+
+  const succeeded = results.filter((r) => r.ok).length;
+  const out = { total: results.length, succeeded, failed: results.length - succeeded, results };
+  // 全部成功 200，存在失败项 207
+  return json(out, out.failed ? 207 : 200, rlHeaders(rl));
+}
+
+/* -------------------- 导出与导入 -------------------- */
+
+// Workers 单次请求最多约 1000 次 KV 操作：导出读到预算用完为止，未读完时在末尾附上 cursor，由调用方带上继续请求
+const EXPORT_KV_BUDGET = 900;
+const EXPORT_FORMATS = ["jsonl", "csv"];
+const EXPORT_CSV_COLUMNS = ["code", "url", "title", "tags", "createdAt", "expiresAt", "maxClicks", "owner", "disabled"];
+const IMPORT_CONFLICTS = ["skip", "overwrite", "fail"];
+
+// 导入 CSV 的列名（不区分大小写），兼容 YOURLS（keyword,url,title,timestamp）与 Shlink（shortCode,longUrl,tags,createdAt）的导出
+const IMPORT_COLUMNS = {
+  code: "code",
+  keyword: "code",
+  shortcode: "code",
+  short_code: "code",
+  shorturl: "shortUrl",
+  short_url: "shortUrl",
+  url: "url",
+  longurl: "url",
+  long_url: "url",
+  title: "title",
+  tags: "tags",
+  createdat: "createdAt",
+  created_at: "createdAt",
+  datecreated: "createdAt",
+  date_created: "createdAt",
+  timestamp: "createdAt",
+  expiresat: "expiresAt",
+  maxclicks: "maxClicks",
+  clicks: "clicks",
+  owner: "owner",
+  disabled: "disabled",
+};
+
+// 导入同样受单次调用约 1000 次 KV 操作的限制。每行最多 5 次：检查是否已存在、写入记录、
+// 写入或删除点击计数、清理旧目标的去重映射（get 与 delete），默认行数 150 × 5 = 750 留出了余量。
+// IMPORT_MAX_ROWS 调得更大时，检查每行时先为它的写入预留操作数，预算不够的行不写入并作为失败返回
+const IMPORT_KV_BUDGET = 900;
+
+function importMaxRows(env) {
+  return Math.max(1, parseInt(env.IMPORT_MAX_ROWS || "150", 10) || 150);
+}
+
+function csvField(v) {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// JSONL 为完整记录（含密码哈希、规则、分流与 flags），可无损恢复；CSV 只含常用字段，便于表格软件处理
+function exportLine(format, code, link, clicks) {
+  if (format === "csv") {
+    const row = { ...link, code, tags: link.tags.join(","), disabled: link.flags.disabled ? 1 : "" };
+    return EXPORT_CSV_COLUMNS.map((c) => csvField(row[c] || "")).join(",") + "\n";
+  }
+  const rec = { code, ...linkRecord(link) };
+  if (link.maxClicks) rec.clicks = clicks;
+  return JSON.stringify(rec) + "\n";
+}
+
+// 按需拉取：下游读完一页才去 list 下一页，内存中最多只有一页数据
+function exportStream(LINKS, format, cursor) {
+  const enc = new TextEncoder();
+  let header = format === "csv";
+  let ops = 0;
+
+  return new ReadableStream({
+    async pull(controller) {
+      if (header) {
+        header = false;
+        controller.enqueue(enc.encode(EXPORT_CSV_COLUMNS.join(",") + "\n"));
+        return;
+      }
+      // 一页最多 1 次 list + 100 次 get + 100 次计数读取
+      if (ops + 201 > EXPORT_KV_BUDGET) {
+        controller.enqueue(enc.encode(format === "csv" ? `#cursor,${csvField(cursor)}\n` : JSON.stringify({ cursor }) + "\n"));
+        controller.close();
+        return;
+      }
+
+      const page = await LINKS.list({ cursor, limit: 100 });
+      const keys = page.keys.filter((k) => isLinkKey(k.name));
+      const values = await Promise.all(keys.map((k) => LINKS.get(k.name)));
+      const links = keys.map((k, i) => (values[i] ? parseLink(values[i], k.metadata) : null));
+      const counted = links.filter((l) => l && l.maxClicks).length;
+      const clicks = await Promise.all(links.map((l, i) => (l && l.maxClicks ? getClicks(LINKS, keys[i].name) : 0)));
+      ops += 1 + keys.length + counted;
+
+      const out = links.map((l, i) => (l ? exportLine(format, keys[i].name, l, clicks[i]) : "")).join("");
+      if (out) controller.enqueue(enc.encode(out));
+      if (page.list_complete) controller.close();
+      else cursor = page.cursor;
+    },
+  });
+}
+
+// GET /api/admin/export?format=jsonl|csv&cursor=
+function handleExport(req, LINKS, u) {
+  if (req.method !== "GET") return apiError(405, "METHOD_NOT_ALLOWED", "Method not allowed");
+  const format = (u.searchParams.get("format") || "jsonl").toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) return apiError(400, "INVALID_FORMAT", "format must be jsonl or csv");
+
+  return new Response(exportStream(LINKS, format, u.searchParams.get("cursor") || undefined), {
+    headers: {
+      "content-type": format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8",
+      "content-disposition": `attachment; filename="links.${format}"`,
+      "cache-control": "no-store",
+    },
+  });
+}
+
+// 返回 [{ row, raw }]，row 为从 1 开始的行号；无法解析的行带 error
+function jsonlToImportRows(body) {
+  const rows = [];
+  body.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    let raw;
+    try {
+      raw = JSON.parse(line);
+    } catch {
+      rows.push({ row: i + 1, error: "Invalid JSON" });
+      return;
+    }
+    // 导出末尾的续传标记
+    if (raw && typeof raw === "object" && "cursor" in raw && !("code" in raw)) return;
+    rows.push({ row: i + 1, raw });
+  });
+  return rows;
+}
+
+// 首行必须是表头；以 # 开头的行（导出末尾的续传标记）忽略。没有 url 列时返回 null
+function csvToImportRows(body) {
+  const rows = parseCsv(body);
+  if (!rows.length) return [];
+
+  // trim() 同时去掉 Excel 导出时开头的 BOM
+  const names = rows[0].map((c) => IMPORT_COLUMNS[c.trim().toLowerCase()] || null);
+  if (!names.includes("url")) return null;
+
+  const out = [];
+  rows.slice(1).forEach((r, i) => {
+    if ((r[0] || "").trim().startsWith("#")) return;
+    const raw = {};
+    names.forEach((name, j) => {
+      if (name && r[j] !== undefined && r[j].trim() !== "") raw[name] = r[j].trim();
+    });
+    out.push({ row: i + 2, raw });
+  });
+  return out;
+}
+
+// 导入记录中的 flags 逐项校验，未知字段丢弃
+function parseImportFlags(raw, disabledRaw) {
+  const f = raw === undefined || raw === null ? {} : raw;
+  if (typeof f !== "object" || Array.isArray(f)) return { ok: false, error: "INVALID_FLAGS", message: "flags must be an object" };
+  const get = (k) => f[k];
+
+  const pv = parsePreview(get);
+  if (!pv.ok) return pv;
+  const rd = parseRedirect(get);
+  if (!rd.ok) return rd;
+  const pt = parsePassthrough(get);
+  if (!pt.ok) return pt;
+  const sticky = parseBool(f.sticky === undefined ? false : f.sticky);
+  const disabled = parseBool(disabledRaw === undefined ? (f.disabled === undefined ? false : f.disabled) : disabledRaw);
+  if (sticky === null || disabled === null) {
+    return { ok: false, error: "INVALID_FLAGS", message: "sticky and disabled must be booleans" };
+  }
+
+  const flags = {};
+  if (pv.preview) flags.preview = true;
+  if (rd.redirect) flags.redirect = rd.redirect;
+  applyPassthrough(flags, pt);
+  if (sticky) flags.sticky = true;
+  if (disabled) flags.disabled = true;
+  if (f.dead && typeof f.dead === "object" && Number.isInteger(f.dead.status)) {
+    flags.dead = { status: f.dead.status, checkedAt: Number(f.dead.checkedAt) || 0 };
+  }
+  return { ok: true, flags };
+}
+
+// 与 hashPassword 的输出一致：16 字节盐、32 字节哈希，迭代次数 1 到 PBKDF2_ITER
+function isPwdHash(p) {
+  return (
+    !!p &&
+    typeof p === "object" &&
+    isB64Bytes(p.s, 16) &&
+    isB64Bytes(p.h, 32) &&
+    Number.isInteger(p.i) &&
+    p.i >= 1 &&
+    p.i <= PBKDF2_ITER
+  );
+}
+
+function isB64Bytes(s, length) {
+  if (typeof s !== "string" || !/^[A-Za-z0-9+/]+={0,2}$/.test(s)) return false;
+  try {
+    return b64ToBytes(s).length === length;
+  } catch {
+    return false;
+  }
+}
+
+// 校验一行导入数据并转换为短链记录；只做本地检查，不访问 KV
+function parseImportRow(env, raw, now) {
+  const bad = (error, message, code) => ({ ok: false, code, error, message });
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return bad("INVALID_ROW", "Row must be an object");
+
+  let code = typeof raw.code === "string" ? raw.code.trim() : "";
+  if (!code && typeof raw.shortUrl === "string") {
+    code = raw.shortUrl.split(/[?#]/)[0].split("/").filter(Boolean).pop() || "";
+  }
+  if (!CODE_RE.test(code)) return bad("INVALID_CODE", "code must be 3-64 chars of A-Z a-z 0-9 _ -", code || undefined);
+  if (getReservedAliases(env).has(code.toLowerCase())) return bad("ALIAS_RESERVED", "code is reserved", code);
+
+  if (typeof raw.url !== "string" || raw.url.length > 8192 || !isHttpUrl(raw.url)) {
+    return bad("INVALID_URL", "url must be a valid http/https URL", code);
+  }
+
+  // Shlink 导出的标签以 | 分隔
+  const info = parseLinkInfo((k) => (k === "tags" && typeof raw.tags === "string" ? raw.tags.replace(/\|/g, ",") : raw[k]));
+  if (!info.ok) return bad(info.error, info.message, code);
+
+  const expiresAt = raw.expiresAt ? parseTimestamp(raw.expiresAt) : 0;
+  if (raw.expiresAt && !expiresAt) return bad("INVALID_EXPIRY", "expiresAt must be a Unix timestamp or ISO 8601 date", code);
+  // KV 不接受已经过去的过期时间
+  if (expiresAt && expiresAt + GONE_KEEP_SEC <= now + 60) return bad("LINK_EXPIRED", "Link expired too long ago to restore", code);
+
+  const maxClicks = raw.maxClicks ? Number(raw.maxClicks) : 0;
+  const clicks = raw.clicks ? Number(raw.clicks) : 0;
+  if (!Number.isInteger(maxClicks) || maxClicks < 0 || !Number.isInteger(clicks) || clicks < 0) {
+    return bad("INVALID_MAX_CLICKS", "maxClicks and clicks must be non-negative integers", code);
+  }
+
+  if (raw.pwd !== undefined && raw.pwd !== null && !isPwdHash(raw.pwd)) {
+    return bad("INVALID_PASSWORD", "pwd must be a password hash from an export", code);
+  }
+  if (raw.owner !== undefined && (typeof raw.owner !== "string" || !OWNER_RE.test(raw.owner))) {
+    return bad("INVALID_OWNER", "owner must be 1-64 chars of A-Z a-z 0-9 _ . @ -", code);
+  }
+
+  const rs = parseRules((k) => raw[k]);
+  if (!rs.ok) return bad(rs.error, rs.message, code);
+  const ab = parseVariants((k) => (k === "sticky" ? undefined : raw[k]));
+  if (!ab.ok) return bad(ab.error, ab.message, code);
+  const fl = parseImportFlags(raw.flags, raw.disabled);
+  if (!fl.ok) return bad(fl.error, fl.message, code);
+
+  const link = {
+    url: raw.url,
+    createdAt: parseTimestamp(raw.createdAt) || now,
+    ipHash: typeof raw.ipHash === "string" && /^[0-9a-f]{16}$/.test(raw.ipHash) ? raw.ipHash : "",
+    owner: raw.owner || "",
+    title: info.title || "",
+    tags: info.tags || [],
+    expiresAt,
+    maxClicks,
+    pwd: raw.pwd || null,
+    rules: rs.rules || [],
+    variants: ab.variants || [],
+    flags: fl.flags,
+  };
+  return { ok: true, code, link, clicks };
+}
+
+// POST /api/admin/import?format=jsonl|csv&conflict=skip|overwrite|fail&dryRun=1
+// 先校验全部行并检查冲突，再统一写入：conflict=fail 时只要有冲突就不写入任何数据
+// 写入一行的 KV 操作数：记录、点击计数（写入或删除旧计数）、旧目标的去重映射（get 与 delete）
+function importWriteOps(link, existing) {
+  return 1 + (link.maxClicks || existing ? 1 : 0) + (existing && existing.url !== link.url ? 2 : 0);
+}
+
+async function handleImport(req, env, LINKS, u) {
+  if (req.method !== "POST") return apiError(405, "METHOD_NOT_ALLOWED", "Method not allowed");
+
+  const ctype = req.headers.get("Content-Type") || "";
+  let format = (u.searchParams.get("format") || "").toLowerCase();
+  if (!format && /^text\/csv\b/i.test(ctype)) format = "csv";
+  if (!format && /^application\/(x-ndjson|jsonl|x-jsonlines)\b/i.test(ctype)) format = "jsonl";
+  if (!EXPORT_FORMATS.includes(format)) {
+    return apiError(415, "UNSUPPORTED_MEDIA_TYPE", "Use format=jsonl|csv, or Content-Type application/x-ndjson or text/csv");
+  }
+  const conflict = (u.searchParams.get("conflict") || "skip").toLowerCase();
+  if (!IMPORT_CONFLICTS.includes(conflict)) {
+    return apiError(400, "INVALID_CONFLICT", `conflict must be one of ${IMPORT_CONFLICTS.join(", ")}`);
+  }
+  const dryRun = parseBool(u.searchParams.get("dryRun") || "");
+  if (dryRun === null) return apiError(400, "INVALID_DRY_RUN", "dryRun must be a boolean");
+
+  const body = await req.text();
+  const rows = format === "csv" ? csvToImportRows(body) : jsonlToImportRows(body);
+  if (!rows) return apiError(400, "INVALID_CSV", "CSV must start with a header row that has a url column");
+  if (!rows.length) return apiError(400, "INVALID_BATCH", "No rows");
+  const maxRows = importMaxRows(env);
+  if (rows.length > maxRows) return apiError(400, "INVALID_BATCH", `At most ${maxRows} rows per request`);
+
+  const now = Math.floor(Date.now() / 1000);
+  const seen = new Set();
+  const results = [];
+  const todo = [];
+  // 已用的与为写入预留的 KV 操作数
+  let ops = 0;
+  for (const { row, raw, error } of rows) {
+    let r = error ? { ok: false, error: "INVALID_JSON", message: error } : parseImportRow(env, raw, now);
+    if (r.ok && seen.has(r.code)) r = { ok: false, code: r.code, error: "DUPLICATE_CODE", message: "code appears more than once" };
+    if (!r.ok) {
+      results.push({ row, ok: false, code: r.code || null, error: r.error, message: r.message });
+      continue;
+    }
+    seen.add(r.code);
+    // 至少要能检查并写入这一行（get + put）
+    if (ops + 2 > IMPORT_KV_BUDGET) {
+      results.push({ row, ok: false, code: r.code, error: "KV_BUDGET_EXCEEDED", message: "Not imported: too many rows for one request, import this row again" });
+      continue;
+    }
+
+    const existing = await getLink(LINKS, r.code);
+    ops++;
+    const action = !existing ? "created" : conflict === "overwrite" ? "overwritten" : "skipped";
+    if (action !== "skipped") {
+      const cost = importWriteOps(r.link, existing);
+      if (ops + cost > IMPORT_KV_BUDGET) {
+        results.push({ row, ok: false, code: r.code, error: "KV_BUDGET_EXCEEDED", message: "Not imported: too many rows for one request, import this row again" });
+        continue;
+      }
+      ops += cost;
+    }
+    results.push({ row, ok: true, code: r.code, action });
+    todo.push({ ...r, existing, action });
+  }
+
+  const conflicts = todo.filter((x) => x.existing).map((x) => x.code);
+  if (conflict === "fail" && conflicts.length) {
+    return json({ error: "IMPORT_CONFLICT", message: `${conflicts.length} code(s) already exist, nothing imported`, conflicts }, 409);
+  }
+
+  if (!dryRun) {
+    for (const x of todo) {
+      if (x.action === "skipped") continue;
+      await putLink(LINKS, x.code, x.link);
+      if (x.link.maxClicks) {
+        await putClicks(LINKS, x.code, x.link, x.clicks);
+      } else if (x.existing) {
+        // 覆盖后的记录没有点击上限，旧的计数不能留给新记录
+        await LINKS.delete(`N:${x.code}`);
+      }
+      if (x.existing && x.existing.url !== x.link.url) await dropDedupCode(LINKS, x.existing.url, x.code);
+    }
+  }
+
+  const count = (action) => results.filter((r) => r.action === action).length;
+  const failed = results.filter((r) => !r.ok).length;
+  const out = {
+    dryRun,
+    conflict,
+    total: results.length,
+    created: count("created"),
+    overwritten: count("overwritten"),
+    skipped: count("skipped"),
+    failed,
+    results,
+  };
+  return json(out, failed ? 207 : 200);
+}
+
+function openApiDoc(env, u) {
+  const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+  const body = (schema) => ({ content: { "application/json": { schema } } });
+  const error = (description) => ({ description, ...body(ref("Error")) });
+  const codeParam = { name: "code", in: "path", required: true, schema: { type: "string", pattern: "^[A-Za-z0-9_-]{3,64}$" } };
+  const admin = [{ adminToken: [] }];
+  const optionalKey = [{}, { apiKey: [] }];
+  const apiKey = [{ apiKey: [] }];
+  const challengeParam = {
+    name: "X-Challenge-Token",
+    in: "header",
+    description: "Turnstile token or solved proof-of-work challenge. Required for anonymous requests when CHALLENGE_MODE is set (see /api/v1/challenge).",
+    schema: { type: "string" },
+  };
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: siteMeta(env).title,
+      version: "1.0.0",
+      description:
+        "Short link service API. Admin endpoints require `Authorization: Bearer <ADMIN_TOKEN>`, API key endpoints `Authorization: Bearer <API key>`.",
+    },
+    servers: [{ url: baseUrlFor(env, u) }],
+    paths: {
+      "/api/v1/links": {
+        post: {
+          summary: "Create a short link",
+          operationId: "createLink",
+          security: optionalKey,
+          parameters: [challengeParam],
+          requestBody: { required: true, ...body(ref("CreateLinkRequest")) },
+          responses: {
+            201: { description: "Created", ...body(ref("Link")) },
+            200: { description: "Existing link reused (dedup)", ...body(ref("Link")) },
+            400: error("Invalid input"),
+            401: error("API key missing or invalid"),
+            403: error("API key lacks the create scope, or challenge missing or failed"),
+            409: error("Alias reserved or taken"),
+            413: error("URL too long"),
+            415: error("Content-Type is not application/json"),
+            429: error("Rate limited"),
+            503: error("Challenge verification unavailable"),
+          },
+        },
+      },
+      "/api/v1/links/bulk": {
+        post: {
+          summary: "Create links in bulk",
+          description: "JSON array of URL strings or CreateLinkRequest objects, or CSV rows of `url,alias` (optionally with a header row starting with `url`).",
+          operationId: "createLinksBulk",
+          security: optionalKey,
+          parameters: [challengeParam],
+          requestBody: {
+            required: true,
+            content: {
+              "application/json": {
+                schema: { type: "array", items: { oneOf: [{ type: "string", format: "uri" }, ref("CreateLinkRequest")] } },
+              },
+              "text/csv": { schema: { type: "string" } },
+            },
+          },
+          responses: {
+            200: { description: "All items created", ...body(ref("BulkResult")) },
+            207: { description: "Some items failed", ...body(ref("BulkResult")) },
+            400: error("Invalid batch"),
+            401: error("API key missing or invalid"),
+            403: error("API key lacks the create scope, or challenge missing or failed"),
+            415: error("Unsupported Content-Type"),
+            429: error("Rate limited"),
+            503: error("Challenge verification unavailable"),
+          },
+        },
+      },
+      "/api/v1/challenge": {
+        get: {
+          summary: "Challenge required for anonymous link creation",
+          description:
+            "For `pow`, find a nonce (up to 32 letters or digits) such that SHA-256 of `<challenge>:<nonce>` starts with `difficulty` zero bits, then send `<challenge>:<nonce>` as X-Challenge-Token. Each solution works once.",
+          operationId: "getChallenge",
+          responses: {
+            200: {
+              description: "Challenge mode, with the Turnstile site key or a new proof-of-work challenge",
+              ...body({
+                type: "object",
+                properties: {
+                  mode: { type: "string", enum: ["off", "turnstile", "pow"] },
+                  siteKey: { type: "string", nullable: true },
+                  challenge: { type: "string" },
+                  difficulty: { type: "integer" },
+                  expiresAt: { type: "integer" },
+                },
+              }),
+            },
+            500: error("Challenge not configured"),
+          },
+        },
+      },
+      "/api/v1/links/{code}": {
+        parameters: [codeParam],
+        get: {
+          summary: "Get a link created by this key's owner",
+          operationId: "getOwnLink",
+          security: apiKey,
+          responses: {
+            200: { description: "Link", ...body(ref("OwnLink")) },
+            401: error("API key missing or invalid"),
+            403: error("Missing stats scope or not the owner"),
+            404: error("Not found"),
+            429: error("Rate limited"),
+          },
+        },
+        delete: {
+          summary: "Delete a link created by this key's owner",
+          operationId: "deleteOwnLink",
+          security: apiKey,
+          responses: {
+            204: { description: "Deleted" },
+            401: error("API key missing or invalid"),
+            403: error("Missing delete scope or not the owner"),
+            404: error("Not found"),
+            429: error("Rate limited"),
+          },
+        },
+      },
+      "/api/v1/links/{code}/stats": {
+        parameters: [codeParam],
+        get: {
+          summary: "Click statistics of a link created by this key's owner",
+          operationId: "getOwnLinkStats",
+          security: apiKey,
+          parameters: [
+            { name: "days", in: "query", schema: { type: "integer", minimum: 1, maximum: 365, default: 30 } },
+            { name: "bots", in: "query", schema: { type: "string", enum: ["0", "1"] } },
+          ],
+          responses: {
+            200: { description: "Aggregated counts", ...body(ref("Stats")) },
+            401: error("API key missing or invalid"),
+            403: error("Missing stats scope or not the owner"),
+            404: error("Not found"),
+            429: error("Rate limited"),
+          },
+        },
+      },
+      "/{code}.qr": {
+        get: {
+          summary: "QR code for a short link",
+          description: "Encodes the short URL itself. Does not count as a click.",
+          operationId: "getQrCode",
+          parameters: [
+            codeParam,
+            { name: "format", in: "query", schema: { type: "string", enum: ["svg", "png"], default: "svg" } },
+            { name: "size", in: "query", schema: { type: "integer", minimum: QR_MIN_SIZE, maximum: QR_MAX_SIZE, default: 256 } },
+            { name: "margin", in: "query", schema: { type: "integer", minimum: 0, maximum: QR_MAX_MARGIN, default: 4 } },
+            { name: "ecc", in: "query", schema: { type: "string", enum: ["L", "M", "Q", "H"], default: "M" } },
+          ],
+          responses: {
+            200: {
+              description: "QR code image",
+              content: {
+                "image/svg+xml": { schema: { type: "string" } },
+                "image/png": { schema: { type: "string", format: "binary" } },
+              },
+            },
+            400: { description: "Invalid options", content: { "text/plain": { schema: { type: "string" } } } },
+            404: { description: "Not found", content: { "text/plain": { schema: { type: "string" } } } },
+          },
+        },
+      },
+      "/{code}+": {
+        get: {
+          summary: "Preview page for a short link",
+          description: "HTML page showing the destination, host, creation date and click count, with a continue button. The destination of password protected links is not shown.",
+          operationId: "previewLink",
+          parameters: [codeParam],
+          responses: {
+            200: { description: "Preview page", content: { "text/html": { schema: { type: "string" } } } },
+            404: { description: "Not found", content: { "text/plain": { schema: { type: "string" } } } },
+            410: { description: "Expired or click limit reached", content: { "text/html": { schema: { type: "string" } } } },
+          },
+        },
+      },
+      "/api/links": {
+        get: {
+          summary: "List links",
+          operationId: "listLinks",
+          security: admin,
+          parameters: [
+            { name: "limit", in: "query", schema: { type: "integer", minimum: 1, maximum: 100, default: 50 } },
+            { name: "cursor", in: "query", schema: { type: "string" } },
+            {
+              name: "q",
+              in: "query",
+              description:
+                "Case-insensitive match on code, url, title or tags. The server reads pages until it has `limit` matches or has read about 800 keys, so a response can have fewer matches than `limit` (even none) while `cursor` is still set. Keep following `cursor` until it is null. The last page read may add a few more than `limit` matches.",
+              schema: { type: "string" },
+            },
+          ],
+          responses: {
+            200: {
+              description: "One page of links",
+              ...body({
+                type: "object",
+                properties: {
+                  links: { type: "array", items: ref("AdminLink") },
+                  cursor: { type: "string", nullable: true },
+                },
+              }),
+            },
+            401: error("Unauthorized"),
+          },
+        },
+      },
+      "/api/links/{code}": {
+        parameters: [codeParam],
+        get: {
+          summary: "Get a link",
+          operationId: "getLink",
+          security: admin,
+          responses: { 200: { description: "Link", ...body(ref("AdminLink")) }, 404: error("Not found") },
+        },
+        patch: {
+          summary: "Update a link",
+          operationId: "updateLink",
+          security: admin,
+          requestBody: {
+            required: true,
+            ...body({
+              type: "object",
+              properties: {
+                url: { type: "string", format: "uri" },
+                title: { type: "string", maxLength: 200 },
+                tags: { type: "array", items: { type: "string", maxLength: 32 }, maxItems: 10 },
+                password: { type: "string", nullable: true, maxLength: 128 },
+                preview: { type: "boolean" },
+                redirect: { type: "integer", enum: REDIRECT_STATUSES, nullable: true, description: "null = use REDIRECT_STATUS" },
+                passQuery: { type: "string", enum: PASS_QUERY_MODES },
+                prefix: { type: "boolean" },
+                rules: { type: "array", items: ref("Rule"), maxItems: RULES_MAX, nullable: true, description: "null or [] removes all rules" },
+                variants: { type: "array", items: ref("Variant"), maxItems: VARIANTS_MAX, nullable: true, description: "null or [] stops splitting" },
+                sticky: { type: "boolean" },
+                disabled: { type: "boolean", description: "Disabled links answer 410 until enabled again" },
+              },
+            }),
+          },
+          responses: { 200: { description: "Updated", ...body(ref("AdminLink")) }, 400: error("Invalid input"), 404: error("Not found") },
+        },
+        delete: {
+          summary: "Delete a link",
+          operationId: "deleteLink",
+          security: admin,
+          responses: { 204: { description: "Deleted" }, 404: error("Not found") },
+        },
+      },
+      "/api/links/{code}/stats": {
+        parameters: [codeParam],
+        get: {
+          summary: "Click statistics",
+          operationId: "getLinkStats",
+          security: admin,
+          parameters: [
+            { name: "days", in: "query", schema: { type: "integer", minimum: 1, maximum: 365, default: 30 } },
+            { name: "bots", in: "query", schema: { type: "string", enum: ["0", "1"] } },
+          ],
+          responses: { 200: { description: "Aggregated counts", ...body(ref("Stats")) }, 404: error("Not found") },
+        },
+      },
+      "/api/admin/blocklist": {
+        get: {
+          summary: "List blocklisted hosts",
+          operationId: "listBlocklist",
+          security: admin,
+          parameters: [
+            { name: "limit", in: "query", schema: { type: "integer", minimum: 1, maximum: 100, default: 50 } },
+            { name: "cursor", in: "query", schema: { type: "string" } },
+          ],
+          responses: {
+            200: {
+              description: "One page of blocklisted hosts",
+              ...body({
+                type: "object",
+                properties: {
+                  hosts: { type: "array", items: ref("BlockedHost") },
+                  cursor: { type: "string", nullable: true },
+                },
+              }),
+            },
+            401: error("Unauthorized"),
+          },
+        },
+      },
+      "/api/admin/blocklist/{host}": {
+        parameters: [{ name: "host", in: "path", required: true, schema: { type: "string" } }],
+        put: {
+          summary: "Block a host and all its subdomains",
+          operationId: "blockHost",
+          security: admin,
+          requestBody: { required: false, ...body({ type: "object", properties: { reason: { type: "string", maxLength: 200 } } }) },
+          responses: { 200: { description: "Blocked", ...body(ref("BlockedHost")) }, 400: error("Invalid host") },
+        },
+        delete: {
+          summary: "Unblock a host",
+          operationId: "unblockHost",
+          security: admin,
+          responses: { 204: { description: "Unblocked" }, 400: error("Invalid host") },
+        },
+      },
+      "/api/admin/maintenance": {
+        get: {
+          summary: "Maintenance report",
+          description: "`report` is the last completed pass over the namespace, `current` the pass in progress.",
+          operationId: "getMaintenance",
+          security: admin,
+          responses: {
+            200: {
+              description: "Reports",
+              ...body({
+                type: "object",
+                properties: {
+                  report: { allOf: [ref("MaintenanceReport")], nullable: true },
+                  current: { allOf: [ref("MaintenanceReport")], nullable: true },
+                },
+              }),
+            },
+            401: error("Unauthorized"),
+          },
+        },
+        post: {
+          summary: "Run one maintenance step now",
+          operationId: "runMaintenance",
+          security: admin,
+          responses: { 200: { description: "State after this step", ...body(ref("MaintenanceReport")) }, 401: error("Unauthorized") },
+        },
+      },
+      "/api/admin/keys": {
+        get: {
+          summary: "List API keys",
+          operationId: "listApiKeys",
+          security: admin,
+          responses: {
+            200: { description: "All keys", ...body({ type: "object", properties: { keys: { type: "array", items: ref("ApiKey") } } }) },
+            401: error("Unauthorized"),
+          },
+        },
+        post: {
+          summary: "Issue an API key",
+          description: "The plaintext key is only returned in this response.",
+          operationId: "createApiKey",
+          security: admin,
+          requestBody: { required: true, ...body(ref("CreateApiKeyRequest")) },
+          responses: {
+            201: { description: "Created", ...body({ allOf: [ref("ApiKey"), { type: "object", properties: { key: { type: "string" } } }] }) },
+            400: error("Invalid key spec"),
+            401: error("Unauthorized"),
+          },
+        },
+      },
+      "/api/admin/keys/{id}": {
+        parameters: [{ name: "id", in: "path", required: true, schema: { type: "string", pattern: "^[0-9a-f]{16}$" } }],
+        get: {
+          summary: "Get an API key",
+          operationId: "getApiKey",
+          security: admin,
+          responses: { 200: { description: "Key", ...body(ref("ApiKey")) }, 404: error("Not found") },
+        },
+        delete: {
+          summary: "Revoke an API key",
+          operationId: "revokeApiKey",
+          security: admin,
+          responses: { 204: { description: "Revoked" }, 404: error("Not found") },
+        },
+      },
+      "/api/admin/migrate": {
+        post: {
+          summary: "Rewrite one page of legacy records",
+          operationId: "migrateLinks",
+          security: admin,
+          parameters: [{ name: "cursor", in: "query", schema: { type: "string" } }],
+          responses: {
+            200: {
+              description: "Page result; call again with cursor until it is null",
+              ...body({
+                type: "object",
+                properties: {
+                  scanned: { type: "integer" },
+                  migrated: { type: "integer" },
+                  cursor: { type: "string", nullable: true },
+                },
+              }),
+            },
+          },
+        },
+      },
+      "/api/admin/export": {
+        get: {
+          summary: "Export links",
+          description:
+            "Streams one record per line. When the request runs out of KV operations, the last line is a continuation marker (`{\"cursor\": ...}` for JSONL, `#cursor,...` for CSV); call again with that cursor.",
+          operationId: "exportLinks",
+          security: admin,
+          parameters: [
+            { name: "format", in: "query", schema: { type: "string", enum: EXPORT_FORMATS, default: "jsonl" } },
+            { name: "cursor", in: "query", schema: { type: "string" } },
+          ],
+          responses: {
+            200: {
+              description: "JSONL with full records, or CSV with the main fields",
+              content: {
+                "application/x-ndjson": { schema: { type: "string" } },
+                "text/csv": { schema: { type: "string" } },
+              },
+            },
+            400: error("Invalid format"),
+          },
+        },
+      },
+      "/api/admin/import": {
+        post: {
+          summary: "Import links",
+          description: "CSV needs a header row. YOURLS (keyword,url,...) and Shlink (shortCode,longUrl,...) column names are recognized.",
+          operationId: "importLinks",
+          security: admin,
+          parameters: [
+            { name: "format", in: "query", schema: { type: "string", enum: EXPORT_FORMATS }, description: "Defaults from Content-Type" },
+            { name: "conflict", in: "query", schema: { type: "string", enum: IMPORT_CONFLICTS, default: "skip" } },
+            { name: "dryRun", in: "query", schema: { type: "boolean", default: false } },
+          ],
+          requestBody: {
+            required: true,
+            content: {
+              "application/x-ndjson": { schema: { type: "string" } },
+              "text/csv": { schema: { type: "string" } },
+            },
+          },
+          responses: {
+            200: { description: "All rows imported (or would be, with dryRun)", ...body(ref("ImportResult")) },
+            207: { description: "Some rows failed validation; the others were imported", ...body(ref("ImportResult")) },
+            400: error("Invalid parameters or too many rows"),
+            409: {
+              description: "conflict=fail and some codes already exist; nothing was written",
+              ...body({
+                type: "object",
+                properties: {
+                  error: { type: "string" },
+                  message: { type: "string" },
+                  conflicts: { type: "array", items: { type: "string" } },
+                },
+              }),
+            },
+            415: error("Unknown format"),
+          },
+        },
+      },
+    },
+    components: {
+      securitySchemes: {
+        adminToken: { type: "http", scheme: "bearer" },
+        apiKey: { type: "http", scheme: "bearer", description: "API key issued via /api/admin/keys" },
+      },
+      schemas: {
+        CreateLinkRequest: {
+          type: "object",
+          required: ["url"],
+          properties: {
+            url: { type: "string", format: "uri", maxLength: 8192 },
+            alias: { type: "string", pattern: "^[A-Za-z0-9_-]{3,64}$" },
+            expiresIn: { type: "integer", minimum: 1, description: "Seconds" },
+            expiresAt: { oneOf: [{ type: "integer" }, { type: "string", format: "date-time" }] },
+            maxClicks: { type: "integer", minimum: 1 },
+            title: { type: "string", maxLength: 200 },
+            tags: { type: "array", items: { type: "string", maxLength: 32 }, maxItems: 10 },
+            password: { type: "string", maxLength: 128 },
+            preview: { type: "boolean", description: "Show the preview page before redirecting" },
+            redirect: { type: "integer", enum: REDIRECT_STATUSES, description: "Redirect status for this link. Defaults to REDIRECT_STATUS" },
+            passQuery: {
+              type: "string",
+              enum: PASS_QUERY_MODES,
+              default: "off",
+              description: "Forward the visitor's query string. merge: destination params win; override: visitor params win; append: keep both",
+            },
+            prefix: { type: "boolean", description: "Also match /{code}/any/path and append the path to the destination" },
+            rules: { type: "array", items: ref("Rule"), maxItems: RULES_MAX, description: "Checked in order; the first matching rule wins, otherwise url is used" },
+            variants: {
+              type: "array",
+              items: ref("Variant"),
+              minItems: 2,
+              maxItems: VARIANTS_MAX,
+              description: "Split traffic by weight when no rule matches",
+            },
+            sticky: { type: "boolean", description: "Keep returning visitors on the same variant (cookie)" },
+            ...Object.fromEntries(
+              UTM_FIELDS.map((name) => [name, { type: "string", maxLength: 200, description: "Merged into the destination query before saving" }])
+            ),
+          },
+        },
+        Link: {
+          type: "object",
+          properties: {
+            code: { type: "string" },
+            shortUrl: { type: "string", format: "uri" },
+            url: { type: "string", format: "uri" },
+            owner: { type: "string", nullable: true },
+            title: { type: "string" },
+            tags: { type: "array", items: { type: "string" } },
+            createdAt: { type: "integer", nullable: true },
+            expiresAt: { type: "integer", nullable: true },
+            maxClicks: { type: "integer", nullable: true },
+            protected: { type: "boolean" },
+            preview: { type: "boolean" },
+            redirect: { type: "integer", nullable: true },
+            passQuery: { type: "string", enum: PASS_QUERY_MODES },
+            prefix: { type: "boolean" },
+            rules: { type: "array", items: ref("Rule") },
+            variants: { type: "array", items: ref("Variant") },
+            sticky: { type: "boolean" },
+          },
+        },
+        Rule: {
+          type: "object",
+          required: ["url"],
+          description: "All given conditions must match; list conditions match if any value matches.",
+          properties: {
+            url: { type: "string", format: "uri" },
+            country: { type: "array", items: { type: "string", pattern: "^[A-Z0-9]{2}$" }, description: "request.cf.country codes" },
+            os: { type: "array", items: { type: "string", enum: RULE_OS } },
+            device: { type: "array", items: { type: "string", enum: RULE_DEVICES } },
+            lang: { type: "array", items: { type: "string" }, description: "Matched against the preferred Accept-Language; `zh` also matches `zh-CN`" },
+            from: { type: "integer", description: "Unix seconds (ISO 8601 accepted on input)" },
+            until: { type: "integer", description: "Unix seconds (ISO 8601 accepted on input)" },
+            days: { type: "array", items: { type: "integer", minimum: 0, maximum: 6 }, description: "0 = Sunday" },
+            hours: { type: "string", pattern: "^\\d{2}:\\d{2}-\\d{2}:\\d{2}$", description: "May wrap past midnight" },
+            offset: { type: "string", pattern: "^[+-]\\d{2}:\\d{2}$", default: "+00:00", description: "Time zone for days and hours" },
+          },
+        },
+        Variant: {
+          type: "object",
+          required: ["url"],
+          properties: {
+            url: { type: "string", format: "uri" },
+            weight: { type: "integer", minimum: 1, maximum: VARIANT_WEIGHT_MAX, default: 1 },
+          },
+        },
+        OwnLink: {
+          allOf: [
+            ref("Link"),
+            {
+              type: "object",
+              properties: {
+                clicks: { type: "integer" },
+                state: { type: "string", enum: ["ok", "expired", "exhausted"] },
+              },
+            },
+          ],
+        },
+        BulkResult: {
+          type: "object",
+          properties: {
+            total: { type: "integer" },
+            succeeded: { type: "integer" },
+            failed: { type: "integer" },
+            results: {
+              type: "array",
+              items: {
+                type: "object",
+                description: "Link fields plus `created` on success; `url`, `status`, `error` and `message` on failure.",
+                properties: {
+                  index: { type: "integer" },
+                  ok: { type: "boolean" },
+                  created: { type: "boolean" },
+                  code: { type: "string" },
+                  shortUrl: { type: "string", format: "uri" },
+                  url: { type: "string" },
+                  status: { type: "integer" },
+                  error: { type: "string", enum: API_ERROR_CODES },
+                  message: { type: "string" },
+                },
+              },
+            },
+          },
+        },
+        MaintenanceReport: {
+          type: "object",
+          properties: {
+            startedAt: { type: "integer" },
+            finishedAt: { type: "integer", nullable: true },
+            cursor: { type: "string", nullable: true },
+            runs: { type: "integer" },
+            scanned: { type: "integer" },
+            links: { type: "integer" },
+            dedupPurged: { type: "integer" },
+            countersPurged: { type: "integer" },
+            probed: { type: "integer" },
+            dead: {
+              type: "array",
+              items: { type: "object", properties: { code: { type: "string" }, status: { type: "integer", description: "0 = unreachable" } } },
+            },
+          },
+        },
+        ApiKey: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            name: { type: "string" },
+            owner: { type: "string" },
+            scopes: { type: "array", items: { type: "string", enum: API_KEY_SCOPES } },
+            quota: {
+              type: "object",
+              nullable: true,
+              properties: { maxReq: { type: "integer" }, windowSec: { type: "integer", nullable: true } },
+            },
+            createdAt: { type: "integer" },
+          },
+        },
+        ImportResult: {
+          type: "object",
+          properties: {
+            dryRun: { type: "boolean" },
+            conflict: { type: "string", enum: IMPORT_CONFLICTS },
+            total: { type: "integer" },
+            created: { type: "integer" },
+            overwritten: { type: "integer" },
+            skipped: { type: "integer" },
+            failed: { type: "integer" },
+            results: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  row: { type: "integer", description: "1-based line number; CSV counts the header" },
+                  ok: { type: "boolean" },
+                  code: { type: "string", nullable: true },
+                  action: { type: "string", enum: ["created", "overwritten", "skipped"] },
+                  error: { type: "string" },
+                  message: { type: "string" },
+                },
+              },
+            },
+          },
+        },
+        CreateApiKeyRequest: {
+          type: "object",
+          properties: {
+            name: { type: "string", maxLength: 100 },
+            owner: { type: "string", pattern: "^[A-Za-z0-9_.@-]{1,64}$", description: "Defaults to the key id" },
+            scopes: { type: "array", items: { type: "string", enum: API_KEY_SCOPES }, default: ["create"] },
+            quota: {
+              type: "object",
+              required: ["maxReq"],
+              properties: {
+                maxReq: { type: "integer", minimum: 1, maximum: 100000 },
+                windowSec: { type: "integer", minimum: 10, maximum: 86400 },
+              },
+            },
+          },
+        },
+        BlockedHost: {
+          type: "object",
+          properties: {
+            host: { type: "string" },
+            reason: { type: "string" },
+            createdAt: { type: "integer", nullable: true },
+          },
+        },
+        AdminLink: {
+          type: "object",
+          properties: {
+            code: { type: "string" },
+            url: { type: "string", format: "uri" },
+            owner: { type: "string", nullable: true },
+            title: { type: "string" },
+            tags: { type: "array", items: { type: "string" } },
+            createdAt: { type: "integer", nullable: true },
+            expiresAt: { type: "integer", nullable: true },
+            maxClicks: { type: "integer", nullable: true },
+            protected: { type: "boolean" },
+            rules: { type: "array", items: ref("Rule") },
+            variants: { type: "array", items: ref("Variant") },
+            flags: { type: "object" },
+            version: { type: "integer" },
+          },
+        },
+        Stats: {
+          type: "object",
+          properties: {
+            code: { type: "string" },
+            days: { type: "integer" },
+            clicks: { type: "integer" },
+            bots: { type: "integer" },
+            byDay: { type: "object", additionalProperties: { type: "integer" } },
+            byCountry: { type: "object", additionalProperties: { type: "integer" } },
+            byReferrer: { type: "object", additionalProperties: { type: "integer" } },
+            byDevice: { type: "object", additionalProperties: { type: "integer" } },
+            byVariant: { type: "object", additionalProperties: { type: "integer" }, description: "Keyed by index into variants" },
+            truncated: { type: "boolean" },
+          },
+        },
+        Error: {
+          type: "object",
+          required: ["error", "message"],
+          properties: {
+            error: { type: "string", enum: API_ERROR_CODES },
+            message: { type: "string" },
+          },
+        },
+      },
+    },
+  };
+}
+
+/* -------------------- 主逻辑 -------------------- */
+
+async function handle(req, env, ctx) {
+  const u = new URL(req.url);
+  const path = u.pathname;
+
+  // 按域名套用 DOMAINS 中的设置与 KV 命名空间
+  const dom = domainEnv(env, u.hostname);
+  if (!dom.ok) return text(`Invalid DOMAINS config: ${dom.message}`, 500);
+  env = dom.env;
+  const LINKS = env.LINKS;
+
+  // 健康检查
+  if (path === "/healthz") return text("ok");
+
+  // CORS 预检：浏览器会先发 OPTIONS /short
+  if (path === "/short" && req.method === "OPTIONS") {
+    return withCors(req, new Response(null, { status: 204 }), env);
+  }
+
+  // 创建短链
+  if (path === "/short" && req.method === "POST") {
+    if (!LINKS) {
+      return withCors(req, json({ Code: 0, Message: "KV binding LINKS not found" }, 500), env);
+    }
+
+    // 可选 API Key（REQUIRE_API_KEY=on 时必需）
+    const auth = await authApiKey(req, LINKS, "create", requireApiKey(env));
+    if (!auth.ok) {
+      return withCors(req, json({ Code: 0, Message: auth.message, Error: auth.error }, auth.status), env);
+    }
+
+    // 限流：带 Key 时按 Key 计数
+    const rl = await rateLimit(req, env, keyLimitOpts(auth.key));
+    if (!rl.ok) {
+      const resp = json(
+        { Code: 0, Message: "Rate limited. Please try again later." },
+        429,
+        rlHeaders(rl)
+      );
+      return withCors(req, resp, env);
+    }
+
+    // 解析表单（兼容 multipart/form-data 与 x-www-form-urlencoded）
+    let fd;
+    try {
+      fd = await req.formData();
+    } catch {
+      return withCors(req, json({ Code: 0, Message: "Invalid form-data" }, 400), env);
+    }
+
+    const longUrlB64 = fd.get("longUrl");
+    if (typeof longUrlB64 !== "string" || !longUrlB64.trim()) {
+      return withCors(req, json({ Code: 0, Message: "Missing longUrl" }, 400), env);
+    }
+    if (longUrlB64.length > 8192) {
+      return withCors(req, json({ Code: 0, Message: "longUrl too large" }, 413), env);
+    }
+
+    // base64 解码
+    let longUrl;
+    try {
+      longUrl = base64ToUtf8(longUrlB64);
+    } catch {
+      return withCors(req, json({ Code: 0, Message: "Invalid base64 longUrl" }, 400), env);
+    }
+
+    if (longUrl.length > 8192) {
+      return withCors(req, json({ Code: 0, Message: "Decoded URL too large" }, 413), env);
+    }
+    if (!isHttpUrl(longUrl)) {
+      return withCors(req, json({ Code: 0, Message: "Decoded longUrl is not a valid http/https URL" }, 400), env);
+    }
+
+    // 人机验证（CHALLENGE_MODE），带 API Key 时跳过
+    const ch = await checkChallenge(req, env, auth.key, req.headers.get("X-Challenge-Token") || fd.get("challenge"));
+    if (!ch.ok) {
+      return withCors(req, json({ Code: 0, Message: ch.message, Error: ch.error }, ch.status), env);
+    }
+
+    const r = await createLink(req, env, LINKS, longUrl, (k) => fd.get(k), auth.key ? auth.key.owner : "");
+    if (!r.ok) {
+      // 旧版本就有的错误保持原响应不变，新增的校验错误附带 Error 字段
+      const body = { Code: 0, Message: r.message };
+      if (r.error !== "CODE_ALLOCATION_FAILED") body.Error = r.error;
+      return withCors(req, json(body, r.status), env);
+    }
+
+    // 成功响应与旧版逐字节一致；只有合并了 UTM 参数时才附带实际保存的 LongUrl
+    const body = { Code: 1, ShortUrl: shortUrlFor(env, u, r.code) };
+    if (r.link.url !== longUrl) body.LongUrl = r.link.url;
+    return withCors(req, json(body, 200, rlHeaders(rl)), env);
+  }
+
+  // JSON API v1
+  if (path.startsWith("/api/v1/")) {
+    return handleApiV1(req, env, LINKS, u, ctx);
+  }
+
+  // 管理 API
+  if (path === "/api/links" || path.startsWith("/api/links/") || path.startsWith("/api/admin/")) {
+    return handleAdminApi(req, env, LINKS, u, ctx);
+  }
+
+  // 管理后台
+  if (path === "/admin" || path.startsWith("/admin/")) {
+    return handleAdminUi(req, env, u);
+  }
+
+  // Landing Page: GET /
+  if (path === "/" && req.method === "GET") {
+    return html(landingHtml(env));
+  }
+
+  // 二维码：GET /:code.qr
+  const qm = path.match(/^\/([A-Za-z0-9_-]{3,64})\.qr$/);
+  if ((req.method === "GET" || req.method === "HEAD") && qm) {
+    if (!LINKS) return text("KV binding LINKS not found", 500);
+    return handleQr(req, env, LINKS, u, qm[1]);
+  }
+
+  // 跳转预览：GET /:code+（部分客户端会把 + 编码为 %2B）
+  const pm = path.match(/^\/([A-Za-z0-9_-]{3,64})(?:\+|%2B)$/i);
+  if ((req.method === "GET" || req.method === "HEAD") && pm) {
+    if (!LINKS) return text("KV binding LINKS not found", 500);
+
+    const code = pm[1];
+    const link = await getLink(LINKS, code);
+    if (!link) return text("Not Found", 404);
+
+    const clicks = await previewClicks(LINKS, env, code, link);
+    const state = linkState(link, clicks || 0);
+    if (state !== "ok") return html(goneHtml(env, state), 410);
+
+    // 预览页同样透传查询参数；前缀短链的子路径请直接访问 /:code/...
+    // sticky 分流在这里就写入 Cookie，保证“继续”后跳到预览页显示的变体
+    const pick = pickDestination(req, link, code);
+    const target = resolveTarget(link, pick.url, u, "");
+    return html(previewHtml(env, link, clicks, target, `/${code}${u.search}`), 200, {
+      "cache-control": "no-store",
+      ...pick.headers,
+    });
+  }
+
+  // 跳转短链：GET/HEAD /:code（密码保护的短链通过 POST 提交密码）；前缀短链还可以是 /:code/任意路径
+  const m = path.match(/^\/([A-Za-z0-9_-]{3,64})(\/.*)?$/);
+  if ((req.method === "GET" || req.method === "HEAD" || req.method === "POST") && m) {
+    if (!LINKS) return text("KV binding LINKS not found", 500);
+
+    const code = m[1];
+    const rest = m[2] || "";
+    const link = await getLink(LINKS, code);
+    if (!link || (rest && !link.flags.prefix)) return text("Not Found", 404);
+    const pick = pickDestination(req, link, code);
+    const target = resolveTarget(link, pick.url, u, rest);
+
+    const clicks = link.maxClicks ? await getClicks(LINKS, code) : 0;
+    const state = linkState(link, clicks);
+    if (state !== "ok") {
+      return html(goneHtml(env, state), 410);
+    }
+
+    // 密码页与预览页也带上分流 Cookie，提交后仍落在同一个变体
+    const noStore = { "cache-control": "no-store", ...pick.headers };
+    if (link.pwd) {
+      if (req.method !== "POST") return html(passwordHtml(env), 200, noStore);
+
+      const rlOpts = pwdLimitOpts(env, code);
+      const rl = await rateLimit(req, env, { ...rlOpts, cost: 0 });
+      if (!rl.ok) {
+        return html(passwordHtml(env, "pwdLocked"), 429, { ...noStore, ...rlHeaders(rl) });
+      }
+
+      let password = null;
+      try {
+        password = (await req.formData()).get("password");
+      } catch {}
+      if (!(await verifyPassword(password, link.pwd))) {
+        // 只有输错才计数
+        await rateLimit(req, env, rlOpts);
+        return html(passwordHtml(env, "pwdWrong"), 401, noStore);
+      }
+    } else if (req.method !== "POST" && previewForced(env, link)) {
+      // 强制预览：先显示预览页，点击“继续”后以 POST 提交再跳转
+      const previewCount = await previewClicks(LINKS, env, code, link);
+      return html(previewHtml(env, link, previewCount, target, path + u.search), 200, noStore);
+    }
+
+    // 每个返回跳转的请求都计入点击上限（GET、密码验证与预览确认的 POST，以及 HEAD）：
+    // HEAD 的响应同样带有目标地址，不计数就能绕过 maxClicks
+    if (link.maxClicks) await putClicks(LINKS, code, link, clicks + 1);
+
+    // HEAD 请求（链接预检等）不计入访问统计
+    const isClick = req.method !== "HEAD";
+
+    // 访问统计放到后台写入，不拖慢跳转；A/B 分流的短链即使未开启 ANALYTICS 也记录，用于比较各变体
+    if ((analyticsEnabled(env) || pick.variant !== null) && isClick) {
+      const evt = clickEvent(req);
+      if (pick.variant !== null) evt.v = pick.variant;
+      ctx.waitUntil(recordClick(statsKV(env), env, code, evt).catch(() => {}));
+    }
+    // 有点击上限的短链已在上面计数，这里只为预览页维护点击数
+    if (analyticsEnabled(env) && isClick && !link.maxClicks) {
+      ctx.waitUntil(bumpClicks(LINKS, code, link).catch(() => {}));
+    }
+
+    return redirectResponse(req, env, link, target, pick.headers);
+  }
+
+  return text("Not Found", 404);
+}
+
+/* -------------------- 前端页面模板 -------------------- */
+
+const REPO_URL = "https://github.com/Aethersailor/cf-shortlink-worker";
+
+function siteMeta(env) {
+  return {
+    title: env.PAGE_TITLE || "Cloudflare ShortLink",
+    icon: env.PAGE_ICON || "🔗",
+    desc: env.PAGE_DESC || "Simple, fast, and secure short links.",
+  };
+}
+
+// i18n dictionaries（所有页面共用一份）
+function i18nDict(env) {
+  const { title, desc } = siteMeta(env);
+
+  return {
+    "en": {
+      "title": title,
+      "desc": desc,
+      "longLabel": "Long Link",
       "placeholder": "https://example.com/very/long/url...",
+      "aliasLabel": "Custom Alias (Optional)",
+      "aliasPlaceholder": "e.g. q4-report",
+      "aliasInvalid": "3-64 characters: letters, digits, _ or -",
+      "aliasReserved": "This alias is reserved, please choose another one",
+      "aliasTaken": "This alias is already in use",
       "shortenBtn": "Shorten URL",
       "resultLabel": "Your Short Link:",
+      "resultDestLabel": "Destination:",
+      "utmLabel": "UTM Parameters (Optional)",
       "copyBtn": "Copy",
+      "downloadSvg": "Download SVG",
+      "downloadPng": "Download PNG",
       "footer": "Powered by Cloudflare Workers.",
       "openSource": "Open Source",
       "copyToast": "Copied to clipboard!",
       "error": "Error: ",
-      "networkError": "Network Error: "
+      "networkError": "Network Error: ",
+      "challengeWait": "Please complete the verification first.",
+      "goneTitle": "Link Unavailable",
+      "goneExpired": "This short link has expired.",
+      "goneExhausted": "This short link has reached its click limit.",
+      "goneDisabled": "This short link has been disabled.",
+      "goHome": "Create a short link",
+      "pwdTitle": "Password Required",
+      "pwdDesc": "This link is password protected. Enter the password to continue.",
+      "pwdLabel": "Password",
+      "pwdBtn": "Continue",
+      "pwdWrong": "Incorrect password",
+      "pwdLocked": "Too many attempts, please try again later",
+      "previewTitle": "Link Preview",
+      "previewDesc": "This short link will take you to the page below.",
+      "previewTitleLabel": "Title",
+      "previewDest": "Destination",
+      "previewHost": "Host",
+      "previewCreated": "Created",
+      "previewClicks": "Clicks",
+      "previewNotTracked": "Not tracked",
+      "previewUnknown": "Unknown",
+      "previewHidden": "Hidden (password protected)",
+      "adminTitle": "Admin Dashboard",
+      "adminLoginDesc": "Sign in with the admin token or passphrase.",
+      "adminLoginLabel": "Admin token or passphrase",
+      "adminLoginBtn": "Sign in",
+      "adminLoginWrong": "Incorrect token or passphrase",
+      "adminLogout": "Sign out",
+      "adminSearch": "Search code, URL, title or tags",
+      "adminSearchBtn": "Search",
+      "adminExport": "Export CSV",
+      "adminLoadMore": "Load more",
+      "adminEmpty": "No links found",
+      "adminColCode": "Code",
+      "adminColDest": "Destination",
+      "adminColCreated": "Created",
+      "adminColStatus": "Status",
+      "adminStateOk": "Active",
+      "adminStateExpired": "Expired",
+      "adminStateExhausted": "Exhausted",
+      "adminStateDisabled": "Disabled",
+      "adminDestLabel": "Destination",
+      "adminSave": "Save",
+      "adminSaved": "Saved",
+      "adminDisable": "Disable",
+      "adminEnable": "Enable",
+      "adminDelete": "Delete",
+      "adminDeleteConfirm": "Delete this short link? This cannot be undone.",
+      "adminClose": "Close",
+      "adminClicks": "Clicks in the last 30 days: ",
+      "previewContinue": "Continue"
     },
     "zh-CN": {
       "title": env.PAGE_TITLE || "Cloudflare 短链接",
       "desc": env.PAGE_DESC || "简单、快速、安全的短链接服务。",
       "longLabel": "长链接",
       "placeholder": "https://example.com/very/long/url...",
+      "aliasLabel": "自定义后缀（可选）",
+      "aliasPlaceholder": "例如 q4-report",
+      "aliasInvalid": "3-64 个字符，仅限字母、数字、_ 或 -",
+      "aliasReserved": "该后缀为系统保留，请换一个",
+      "aliasTaken": "该后缀已被占用",
       "shortenBtn": "生成短链",
       "resultLabel": "您的短链接：",
+      "resultDestLabel": "目标地址：",
+      "utmLabel": "UTM 参数（可选）",
       "copyBtn": "复制",
+      "downloadSvg": "下载 SVG",
+      "downloadPng": "下载 PNG",
       "footer": "基于 Cloudflare Workers 强力驱动。",
       "openSource": "开源项目",
       "copyToast": "已复制到剪贴板！",
       "error": "错误：",
-      "networkError": "网络错误："
+      "networkError": "网络错误：",
+      "challengeWait": "请先完成人机验证。",
+      "goneTitle": "链接已失效",
+      "goneExpired": "该短链接已过期。",
+      "goneExhausted": "该短链接的访问次数已用完。",
+      "goneDisabled": "该短链接已被停用。",
+      "goHome": "生成短链接",
+      "pwdTitle": "需要密码",
+      "pwdDesc": "该链接受密码保护，请输入密码后继续访问。",
+      "pwdLabel": "密码",
+      "pwdBtn": "继续",
+      "pwdWrong": "密码错误",
+      "pwdLocked": "尝试次数过多，请稍后再试",
+      "previewTitle": "链接预览",
+      "previewDesc": "该短链接将跳转到以下页面。",
+      "previewTitleLabel": "标题",
+      "previewDest": "目标地址",
+      "previewHost": "域名",
+      "previewCreated": "创建时间",
+      "previewClicks": "访问次数",
+      "previewNotTracked": "未统计",
+      "previewUnknown": "未知",
+      "previewHidden": "已隐藏（密码保护）",
+      "adminTitle": "管理后台",
+      "adminLoginDesc": "使用管理令牌或口令登录。",
+      "adminLoginLabel": "管理令牌或口令",
+      "adminLoginBtn": "登录",
+      "adminLoginWrong": "令牌或口令错误",
+      "adminLogout": "退出登录",
+      "adminSearch": "搜索短码、链接、标题或标签",
+      "adminSearchBtn": "搜索",
+      "adminExport": "导出 CSV",
+      "adminLoadMore": "加载更多",
+      "adminEmpty": "没有找到短链接",
+      "adminColCode": "短码",
+      "adminColDest": "目标地址",
+      "adminColCreated": "创建时间",
+      "adminColStatus": "状态",
+      "adminStateOk": "正常",
+      "adminStateExpired": "已过期",
+      "adminStateExhausted": "次数已用完",
+      "adminStateDisabled": "已停用",
+      "adminDestLabel": "目标地址",
+      "adminSave": "保存",
+      "adminSaved": "已保存",
+      "adminDisable": "停用",
+      "adminEnable": "启用",
+      "adminDelete": "删除",
+      "adminDeleteConfirm": "确定删除该短链接？此操作无法撤销。",
+      "adminClose": "关闭",
+      "adminClicks": "最近 30 天点击：",
+      "previewContinue": "继续访问"
     },
     "zh-TW": {
       "title": env.PAGE_TITLE || "Cloudflare 短網址",
       "desc": env.PAGE_DESC || "簡單、快速、安全的短網址服務。",
       "longLabel": "長網址",
       "placeholder": "https://example.com/very/long/url...",
+      "aliasLabel": "自訂後綴（選填）",
+      "aliasPlaceholder": "例如 q4-report",
+      "aliasInvalid": "3-64 個字元，僅限字母、數字、_ 或 -",
+      "aliasReserved": "該後綴為系統保留，請換一個",
+      "aliasTaken": "該後綴已被使用",
       "shortenBtn": "產生短鏈",
       "resultLabel": "您的短網址：",
+      "resultDestLabel": "目標網址：",
+      "utmLabel": "UTM 參數（選填）",
       "copyBtn": "複製",
+      "downloadSvg": "下載 SVG",
+      "downloadPng": "下載 PNG",
       "footer": "基於 Cloudflare Workers 強力驅動。",
       "openSource": "開源專案",
       "copyToast": "已複製到剪貼簿！",
       "error": "錯誤：",
-      "networkError": "網絡錯誤："
+      "networkError": "網絡錯誤：",
+      "challengeWait": "請先完成人機驗證。",
+      "goneTitle": "連結已失效",
+      "goneExpired": "該短網址已過期。",
+      "goneExhausted": "該短網址的存取次數已用完。",
+      "goneDisabled": "該短網址已被停用。",
+      "goHome": "產生短網址",
+      "pwdTitle": "需要密碼",
+      "pwdDesc": "此連結受密碼保護，請輸入密碼後繼續存取。",
+      "pwdLabel": "密碼",
+      "pwdBtn": "繼續",
+      "pwdWrong": "密碼錯誤",
+      "pwdLocked": "嘗試次數過多，請稍後再試",
+      "previewTitle": "連結預覽",
+      "previewDesc": "此短網址將前往以下頁面。",
+      "previewTitleLabel": "標題",
+      "previewDest": "目標網址",
+      "previewHost": "網域",
+      "previewCreated": "建立時間",
+      "previewClicks": "點擊次數",
+      "previewNotTracked": "未統計",
+      "previewUnknown": "未知",
+      "previewHidden": "已隱藏（密碼保護）",
+      "adminTitle": "管理後台",
+      "adminLoginDesc": "使用管理權杖或通關密語登入。",
+      "adminLoginLabel": "管理權杖或通關密語",
+      "adminLoginBtn": "登入",
+      "adminLoginWrong": "權杖或通關密語錯誤",
+      "adminLogout": "登出",
+      "adminSearch": "搜尋短碼、網址、標題或標籤",
+      "adminSearchBtn": "搜尋",
+      "adminExport": "匯出 CSV",
+      "adminLoadMore": "載入更多",
+      "adminEmpty": "找不到短網址",
+      "adminColCode": "短碼",
+      "adminColDest": "目標網址",
+      "adminColCreated": "建立時間",
+      "adminColStatus": "狀態",
+      "adminStateOk": "正常",
+      "adminStateExpired": "已過期",
+      "adminStateExhausted": "次數已用完",
+      "adminStateDisabled": "已停用",
+      "adminDestLabel": "目標網址",
+      "adminSave": "儲存",
+      "adminSaved": "已儲存",
+      "adminDisable": "停用",
+      "adminEnable": "啟用",
+      "adminDelete": "刪除",
+      "adminDeleteConfirm": "確定刪除這個短網址？此操作無法復原。",
+      "adminClose": "關閉",
+      "adminClicks": "最近 30 天點擊：",
+      "previewContinue": "繼續前往"
     }
   };
+}
 
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${title}</title>
-  <link rel="icon" href="data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><text y=%22.9em%22 font-size=%2290%22>${icon}</text></svg>">
-  <style>
+const THEME_CSS = `
     :root {
       --bg-color: #f0f2f5;
       --card-bg: rgba(255, 255, 255, 0.85);
@@ -550,7 +5002,7 @@ function landingHtml(env) {
     
     label { display: block; margin-bottom: 0.5rem; font-size: 0.875rem; font-weight: 500; color: var(--text-main); }
     
-    input[type="url"] {
+    input[type="url"], input[type="text"], input[type="password"] {
       width: 100%;
       padding: 12px 16px;
       border-radius: 12px;
@@ -562,9 +5014,13 @@ function landingHtml(env) {
       outline: none;
     }
     
-    input[type="url"]:focus { border-color: var(--primary); box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1); }
+    input[type="url"]:focus, input[type="text"]:focus, input[type="password"]:focus { border-color: var(--primary); box-shadow: 0 0 0 3px rgba(59, 130, 246, 0.1); }
+    input.invalid { border-color: #ef4444; }
 
-    button.primary-btn {
+    .field-error { display: none; margin-top: 0.4rem; font-size: 0.8rem; color: #ef4444; }
+    .field-error.show { display: block; }
+
+    .primary-btn {
       width: 100%;
       padding: 14px;
       border-radius: 12px;
@@ -581,9 +5037,10 @@ function landingHtml(env) {
       gap: 0.5rem;
     }
     
-    button.primary-btn:hover { background: var(--primary-hover); transform: translateY(-1px); }
-    button.primary-btn:active { transform: translateY(0); }
-    button.primary-btn:disabled { opacity: 0.7; cursor: not-allowed; }
+    .primary-btn:hover { background: var(--primary-hover); transform: translateY(-1px); }
+    .primary-btn:active { transform: translateY(0); }
+    .primary-btn:disabled { opacity: 0.7; cursor: not-allowed; }
+    a.primary-btn { text-decoration: none; }
 
     .result {
       margin-top: 2rem;
@@ -625,6 +5082,72 @@ function landingHtml(env) {
     }
     
     .copy-btn:hover { background: rgba(0, 0, 0, 0.1); }
+    a.copy-btn { text-decoration: none; text-align: center; }
+
+    .utm-box { margin-bottom: 1.5rem; text-align: left; }
+    .utm-box summary { cursor: pointer; font-size: 0.875rem; font-weight: 500; color: var(--text-main); }
+    .challenge-box { margin-bottom: 1.5rem; display: flex; justify-content: center; }
+    .utm-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 0.5rem; margin-top: 0.75rem; }
+    .utm-grid input[type="text"] { padding: 8px 12px; font-size: 0.875rem; }
+
+    .result-dest { margin-top: 1rem; }
+    .long-url { font-family: monospace; font-size: 0.875rem; color: var(--text-sub); word-break: break-all; }
+
+    .qr-box {
+      display: flex;
+      gap: 1rem;
+      align-items: center;
+      margin-top: 1rem;
+    }
+
+    .qr-box img {
+      width: 160px;
+      height: 160px;
+      border-radius: 8px;
+      border: 1px solid var(--border);
+      background: #fff;
+    }
+
+    .qr-actions { display: flex; flex-direction: column; gap: 0.5rem; }
+
+    .preview-list {
+      margin: 0 0 1.5rem;
+      padding: 1rem 1.25rem;
+      text-align: left;
+      background: rgba(0, 0, 0, 0.03);
+      border: 1px solid var(--border);
+      border-radius: 12px;
+    }
+
+    .preview-list dt { font-size: 0.875rem; color: var(--text-sub); margin-top: 0.75rem; }
+    .preview-list dt:first-child { margin-top: 0; }
+    .preview-list dd { margin: 0.25rem 0 0; word-break: break-all; }
+    .preview-url { font-family: monospace; color: var(--primary); }
+
+    /* Admin dashboard */
+    .container.wide { max-width: 1000px; text-align: left; }
+    .container.wide .header { text-align: center; }
+    .admin-bar { display: flex; gap: 0.5rem; align-items: center; margin-bottom: 1rem; }
+    .admin-bar input[type="text"] { flex: 1; padding: 8px 12px; font-size: 0.875rem; }
+    .admin-bar form { display: contents; }
+    .admin-table { width: 100%; border-collapse: collapse; font-size: 0.875rem; table-layout: fixed; }
+    .admin-table th { text-align: left; font-weight: 500; color: var(--text-sub); padding: 8px; border-bottom: 2px solid var(--border); }
+    .admin-table td { padding: 8px; border-bottom: 1px solid var(--border); overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .admin-table tbody tr { cursor: pointer; }
+    .admin-table tbody tr:hover, .admin-table tbody tr.active { background: rgba(0, 0, 0, 0.05); }
+    .admin-table .col-code { width: 18%; font-family: monospace; }
+    .admin-table .col-created { width: 20%; }
+    .admin-table .col-status { width: 12%; }
+    .admin-empty { padding: 1.5rem; text-align: center; color: var(--text-sub); font-size: 0.875rem; }
+    .admin-more { margin-top: 1rem; text-align: center; }
+    .state-off { color: #ef4444; }
+    .admin-detail { display: none; margin-top: 1.5rem; padding: 1.5rem; border: 1px solid var(--border); border-radius: 12px; background: rgba(0, 0, 0, 0.03); }
+    .admin-detail.show { display: block; animation: fadeIn 0.3s ease; }
+    .admin-detail h2 { font-size: 1.125rem; font-family: monospace; margin-bottom: 1rem; display: flex; justify-content: space-between; align-items: center; }
+    .admin-actions { display: flex; gap: 0.5rem; flex-wrap: wrap; margin-bottom: 1.5rem; }
+    .copy-btn.danger { color: #ef4444; }
+    .chart { display: flex; align-items: flex-end; gap: 2px; height: 120px; margin-top: 0.5rem; border-bottom: 1px solid var(--border); }
+    .chart div { flex: 1; min-height: 1px; background: var(--primary); border-radius: 2px 2px 0 0; }
 
     .footer { margin-top: 2rem; font-size: 0.875rem; color: var(--text-sub); }
     .footer a { color: var(--text-sub); text-decoration: none; opacity: 0.8; transition: opacity 0.2s;}
@@ -728,100 +5251,47 @@ function landingHtml(env) {
         box-shadow: 0 4px 12px rgba(0,0,0,0.15);
     }
     .toast.show { opacity: 1; }
-  </style>
-</head>
-<body>
+`;
 
+const TOP_CONTROLS_HTML = `
   <div class="top-right-controls">
     <div class="dropdown" id="langDropdown">
-        <button class="icon-btn" id="langBtn" aria-label="Switch Language" title="Switch Language">
-            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><line x1="2" y1="12" x2="22" y2="12"></line><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path></svg>
-        </button>
-        <div class="dropdown-content">
-            <button onclick="changeLang('en')">English</button>
-            <button onclick="changeLang('zh-CN')">简体中文</button>
-            <button onclick="changeLang('zh-TW')">繁體中文</button>
-        </div>
-    </div>
-    
-    <button class="icon-btn" id="themeBtn" aria-label="Toggle theme" title="Switch Theme">
-      <svg id="moonIcon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="display:none"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"></path></svg>
-      <svg id="sunIcon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="display:none"><circle cx="12" cy="12" r="5"></circle><line x1="12" y1="1" x2="12" y2="3"></line><line x1="12" y1="21" x2="12" y2="23"></line><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"></line><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"></line><line x1="1" y1="12" x2="3" y2="12"></line><line x1="21" y1="12" x2="23" y2="12"></line><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"></line><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"></line></svg>
-    </button>
-  </div>
-
-  <div class="container">
-    <div class="header">
-      <span class="icon">${icon}</span>
-      <h1 id="pageTitle">${title}</h1>
-      <p class="desc" id="pageDesc">${desc}</p>
-    </div>
-
-    <form id="shortenForm">
-      <div class="input-group">
-        <label for="longUrl" id="labelLongUrl">Long Link</label>
-        <input type="url" id="longUrl" placeholder="https://example.com/very/long/url..." required autofocus>
-      </div>
-      
-      <button type="submit" id="submitBtn" class="primary-btn">
-        <span id="btnText">Shorten URL</span>
-        <span class="spinner" id="btnSpinner" style="display:none"></span>
-      </button>
-    </form>
-
-    <div class="result" id="resultArea">
-      <div class="result-label" id="labelResult">Your Short Link:</div>
-      <div class="result-box">
-        <div class="short-url" id="shortUrlDisplay"></div>
-        <button class="copy-btn" id="copyBtn">Copy</button>
-      </div>
+        <button class="icon-btn" id="langBtn" aria-label="Switch Language" title="Switch Language">
+            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><line x1="2" y1="12" x2="22" y2="12"></line><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path></svg>
+        </button>
+        <div class="dropdown-content">
+            <button onclick="changeLang('en')">English</button>
+            <button onclick="changeLang('zh-CN')">简体中文</button>
+            <button onclick="changeLang('zh-TW')">繁體中文</button>
+        </div>
     </div>
+    
+    <button class="icon-btn" id="themeBtn" aria-label="Toggle theme" title="Switch Theme">
+      <svg id="moonIcon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="display:none"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"></path></svg>
+      <svg id="sunIcon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" style="display:none"><circle cx="12" cy="12" r="5"></circle><line x1="12" y1="1" x2="12" y2="3"></line><line x1="12" y1="21" x2="12" y2="23"></line><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"></line><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"></line><line x1="1" y1="12" x2="3" y2="12"></line><line x1="21" y1="12" x2="23" y2="12"></line><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"></line><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"></line></svg>
+    </button>
+  </div>`;
 
+const FOOTER_HTML = `
     <div class="footer">
-      <span id="labelFooter">Powered by Cloudflare Workers.</span> 
-      <a href="${repo}" target="_blank" id="labelOpenSource">Open Source</a>
-    </div>
-  </div>
-  
-  <div class="toast" id="toast">Copied to clipboard!</div>
+      <span data-i18n="footer">Powered by Cloudflare Workers.</span> 
+      <a href="${REPO_URL}" target="_blank" data-i18n="openSource">Open Source</a>
+    </div>`;
 
-  <!-- Inject Dictionary -->
-  <script>
-    const I18N = ${JSON.stringify(i18n)};
-  </script>
-
-  <script>
-    /* --- Logic --- */
-    
-    // Elements
-    const els = {
-      langBtn: document.getElementById('langBtn'),
-      langDropdown: document.getElementById('langDropdown'),
-      themeBtn: document.getElementById('themeBtn'),
-      moonIcon: document.getElementById('moonIcon'),
-      sunIcon: document.getElementById('sunIcon'),
-      pageTitle: document.getElementById('pageTitle'),
-      pageDesc: document.getElementById('pageDesc'),
-      labelLongUrl: document.getElementById('labelLongUrl'),
-      longUrl: document.getElementById('longUrl'),
-      submitBtn: document.getElementById('submitBtn'),
-      btnText: document.getElementById('btnText'),
-      btnSpinner: document.getElementById('btnSpinner'),
-      resultArea: document.getElementById('resultArea'),
-      labelResult: document.getElementById('labelResult'),
-      shortUrlDisplay: document.getElementById('shortUrlDisplay'),
-      copyBtn: document.getElementById('copyBtn'),
-      labelFooter: document.getElementById('labelFooter'),
-      labelOpenSource: document.getElementById('labelOpenSource'),
-      toast: document.getElementById('toast'),
-      form: document.getElementById('shortenForm'),
-    };
+// 各页面共用的语言/主题切换逻辑；页面脚本通过 onLang() 订阅语言变化
+const PAGE_RUNTIME_JS = `
+    /* --- Shared: i18n & theme --- */
 
     // State
     let currentLang = 'en';
     const SESSION_KEY_LANG = 'cf_short_lang';
     const SESSION_KEY_THEME = 'cf_short_theme';
-    
+    const langHooks = [];
+
+    function onLang(fn) {
+      langHooks.push(fn);
+    }
+
     // --- i18n ---
     function detectLang() {
       // Priority: Session -> Browser -> Default
@@ -845,32 +5315,30 @@ function landingHtml(env) {
       sessionStorage.setItem(SESSION_KEY_LANG, lang);
       const dict = I18N[lang];
       
-      // Update DOM
-      els.pageTitle.textContent = dict.title;
-      els.pageDesc.textContent = dict.desc;
-      els.labelLongUrl.textContent = dict.longLabel;
-      els.longUrl.placeholder = dict.placeholder;
-      els.btnText.textContent = dict.shortenBtn;
-      els.labelResult.textContent = dict.resultLabel;
-      els.copyBtn.textContent = dict.copyBtn;
-      els.labelFooter.textContent = dict.footer;
-      els.labelOpenSource.textContent = dict.openSource;
-      els.toast.textContent = dict.copyToast;
+      // Update DOM: data-i18n -> textContent, data-i18n-placeholder -> placeholder
+      document.querySelectorAll('[data-i18n]').forEach((el) => {
+        el.textContent = dict[el.dataset.i18n];
+      });
+      document.querySelectorAll('[data-i18n-placeholder]').forEach((el) => {
+        el.placeholder = dict[el.dataset.i18nPlaceholder];
+      });
+      langHooks.forEach((fn) => fn(dict));
       
       // Update html lang attr
       document.documentElement.lang = lang;
     }
     
     // Dropdown Logic
-    els.langBtn.addEventListener('click', (e) => {
+    const langDropdown = document.getElementById('langDropdown');
+    document.getElementById('langBtn').addEventListener('click', (e) => {
         e.stopPropagation();
-        els.langDropdown.classList.toggle('show');
+        langDropdown.classList.toggle('show');
     });
     
     // Close dropdown when clicking outside
     window.addEventListener('click', () => {
-        if (els.langDropdown.classList.contains('show')) {
-            els.langDropdown.classList.remove('show');
+        if (langDropdown.classList.contains('show')) {
+            langDropdown.classList.remove('show');
         }
     });
     
@@ -878,16 +5346,13 @@ function landingHtml(env) {
     window.changeLang = function(lang) {
         applyLang(lang);
     }
-    
-    // Init Lang
-    applyLang(detectLang());
 
 
     // --- Theme ---
     function setTheme(isDark) {
       document.documentElement.setAttribute('data-theme', isDark ? 'dark' : 'light');
-      els.moonIcon.style.display = isDark ? 'none' : 'block';
-      els.sunIcon.style.display = isDark ? 'block' : 'none';
+      document.getElementById('moonIcon').style.display = isDark ? 'none' : 'block';
+      document.getElementById('sunIcon').style.display = isDark ? 'block' : 'none';
       // Save to Session Storage
       sessionStorage.setItem(SESSION_KEY_THEME, isDark ? 'dark' : 'light');
     }
@@ -902,18 +5367,206 @@ function landingHtml(env) {
       setTheme(systemPrefersDark);
     }
     
-    els.themeBtn.addEventListener('click', () => {
+    document.getElementById('themeBtn').addEventListener('click', () => {
       const currentTheme = document.documentElement.getAttribute('data-theme');
       setTheme(currentTheme === 'light');
     });
+`;
+
+function pageShell(env, { body, script = "" }) {
+  const { title, icon } = siteMeta(env);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+  <link rel="icon" href="data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><text y=%22.9em%22 font-size=%2290%22>${icon}</text></svg>">
+  <style>${THEME_CSS}  </style>
+</head>
+<body>
+${TOP_CONTROLS_HTML}
+${body}
+
+  <!-- Inject Dictionary -->
+  <script>
+    const I18N = ${JSON.stringify(i18nDict(env))};
+  </script>
+
+  <script>${PAGE_RUNTIME_JS}  </script>
+
+  <script>${script}
+    // Init Lang（页面脚本注册完 onLang 回调后再执行）
+    applyLang(detectLang());
+  </script>
+</body>
+</html>`;
+}
+
+function landingHtml(env) {
+  const { title, icon, desc } = siteMeta(env);
+  const challenge = challengeMode(env);
+  // Turnstile 组件放在提交按钮上方；pow 在提交时于浏览器中计算，无需界面
+  const widget =
+    challenge === "turnstile"
+      ? `
+      <div class="cf-turnstile challenge-box" data-sitekey="${escapeHtml(env.TURNSTILE_SITE_KEY || "")}" data-theme="auto"></div>
+      <script src="https://challenges.cloudflare.com/turnstile/v0/api.js" async defer></script>
+`
+      : "";
+
+  return pageShell(env, {
+    body: `
+  <div class="container">
+    <div class="header">
+      <span class="icon">${icon}</span>
+      <h1 data-i18n="title">${title}</h1>
+      <p class="desc" data-i18n="desc">${desc}</p>
+    </div>
+
+    <form id="shortenForm">
+      <div class="input-group">
+        <label for="longUrl" data-i18n="longLabel">Long Link</label>
+        <input type="url" id="longUrl" data-i18n-placeholder="placeholder" placeholder="https://example.com/very/long/url..." required autofocus>
+      </div>
+
+      <div class="input-group">
+        <label for="alias" data-i18n="aliasLabel">Custom Alias (Optional)</label>
+        <input type="text" id="alias" data-i18n-placeholder="aliasPlaceholder" placeholder="e.g. q4-report" maxlength="64" autocomplete="off" spellcheck="false">
+        <div class="field-error" id="aliasError"></div>
+      </div>
+
+      <details class="utm-box">
+        <summary data-i18n="utmLabel">UTM Parameters (Optional)</summary>
+        <div class="utm-grid">
+          ${UTM_FIELDS.map((name) => `<input type="text" id="${name}" name="${name}" placeholder="${name}" maxlength="200" autocomplete="off" spellcheck="false">`).join("\n          ")}
+        </div>
+      </details>
+      ${widget}
+      <button type="submit" id="submitBtn" class="primary-btn">
+        <span id="btnText" data-i18n="shortenBtn">Shorten URL</span>
+        <span class="spinner" id="btnSpinner" style="display:none"></span>
+      </button>
+    </form>
+
+    <div class="result" id="resultArea">
+      <div class="result-label" data-i18n="resultLabel">Your Short Link:</div>
+      <div class="result-box">
+        <div class="short-url" id="shortUrlDisplay"></div>
+        <button class="copy-btn" id="copyBtn" data-i18n="copyBtn">Copy</button>
+      </div>
+      <div class="result-label result-dest" data-i18n="resultDestLabel">Destination:</div>
+      <div class="long-url" id="longUrlDisplay"></div>
+      <div class="qr-box">
+        <img id="qrImg" alt="QR code" width="160" height="160">
+        <div class="qr-actions">
+          <a class="copy-btn" id="qrSvg" data-i18n="downloadSvg">Download SVG</a>
+          <a class="copy-btn" id="qrPng" data-i18n="downloadPng">Download PNG</a>
+        </div>
+      </div>
+    </div>
+${FOOTER_HTML}
+  </div>
+  
+  <div class="toast" id="toast" data-i18n="copyToast">Copied to clipboard!</div>`,
+    script: `
+    /* --- Logic --- */
+    
+    // Elements
+    const els = {
+      longUrl: document.getElementById('longUrl'),
+      alias: document.getElementById('alias'),
+      aliasError: document.getElementById('aliasError'),
+      submitBtn: document.getElementById('submitBtn'),
+      btnText: document.getElementById('btnText'),
+      btnSpinner: document.getElementById('btnSpinner'),
+      resultArea: document.getElementById('resultArea'),
+      shortUrlDisplay: document.getElementById('shortUrlDisplay'),
+      longUrlDisplay: document.getElementById('longUrlDisplay'),
+      utm: document.querySelectorAll('.utm-grid input'),
+      copyBtn: document.getElementById('copyBtn'),
+      qrImg: document.getElementById('qrImg'),
+      qrSvg: document.getElementById('qrSvg'),
+      qrPng: document.getElementById('qrPng'),
+      toast: document.getElementById('toast'),
+      form: document.getElementById('shortenForm'),
+    };
+
+    // State
+    let aliasErrorKey = null;
+
+    // --- Alias ---
+    const ALIAS_RE = /^[A-Za-z0-9_-]{3,64}$/;
+    const ALIAS_ERRORS = {
+      ALIAS_INVALID: 'aliasInvalid',
+      ALIAS_RESERVED: 'aliasReserved',
+      ALIAS_TAKEN: 'aliasTaken'
+    };
+
+    function setAliasError(key) {
+      aliasErrorKey = key;
+      els.aliasError.textContent = key ? I18N[currentLang][key] : '';
+      els.aliasError.classList.toggle('show', !!key);
+      els.alias.classList.toggle('invalid', !!key);
+    }
+
+    onLang((dict) => {
+      if (aliasErrorKey) els.aliasError.textContent = dict[aliasErrorKey];
+    });
+
+    els.alias.addEventListener('input', () => {
+      const v = els.alias.value.trim();
+      setAliasError(v && !ALIAS_RE.test(v) ? 'aliasInvalid' : null);
+    });
+
+    // --- Challenge ---
+    const CHALLENGE_MODE = ${JSON.stringify(challenge)};
 
+    function zeroBits(bytes) {
+      let n = 0;
+      for (const b of bytes) {
+        if (b) return n + Math.clz32(b) - 24;
+        n += 8;
+      }
+      return n;
+    }
+
+    // Proof of work: find a nonce so that SHA-256("<challenge>:<nonce>") starts with enough zero bits
+    async function solvePow(challenge, difficulty) {
+      const enc = new TextEncoder();
+      for (let i = 0; ; i++) {
+        const token = challenge + ':' + i.toString(36);
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', enc.encode(token)));
+        if (zeroBits(hash) >= difficulty) return token;
+      }
+    }
+
+    async function challengeToken() {
+      if (CHALLENGE_MODE === 'turnstile') return window.turnstile ? turnstile.getResponse() : '';
+      if (CHALLENGE_MODE !== 'pow') return '';
+      const c = await (await fetch('/api/v1/challenge', { cache: 'no-store' })).json();
+      if (!c.challenge) throw new Error(c.message || 'Challenge unavailable');
+      return solvePow(c.challenge, c.difficulty);
+    }
 
     // --- Form ---
     els.form.addEventListener('submit', async (e) => {
       e.preventDefault();
       const longUrlVal = els.longUrl.value;
+      const aliasVal = els.alias.value.trim();
       
       if (!longUrlVal) return;
+      if (aliasVal && !ALIAS_RE.test(aliasVal)) {
+        setAliasError('aliasInvalid');
+        els.alias.focus();
+        return;
+      }
+      setAliasError(null);
+      if (CHALLENGE_MODE === 'turnstile' && !(window.turnstile && turnstile.getResponse())) {
+        alert(I18N[currentLang].challengeWait);
+        return;
+      }
 
       // Loading
       els.submitBtn.disabled = true;
@@ -925,6 +5578,12 @@ function landingHtml(env) {
         const formData = new FormData();
         const b64 = btoa(unescape(encodeURIComponent(longUrlVal))).replace(/\\+/g, "-").replace(/\\//g, "_").replace(/=/g, "");
         formData.append('longUrl', b64);
+        if (aliasVal) formData.append('alias', aliasVal);
+        els.utm.forEach((input) => {
+          if (input.value.trim()) formData.append(input.name, input.value.trim());
+        });
+        const challenge = await challengeToken();
+        if (challenge) formData.append('challenge', challenge);
 
         const response = await fetch('/short', {
           method: 'POST',
@@ -936,19 +5595,36 @@ function landingHtml(env) {
 
         if (data.Code === 1) {
           els.shortUrlDisplay.textContent = data.ShortUrl;
+          els.longUrlDisplay.textContent = data.LongUrl || longUrlVal;
+          showQr(data.ShortUrl.split('/').pop());
           els.resultArea.style.display = 'block';
+        } else if (ALIAS_ERRORS[data.Error]) {
+          setAliasError(ALIAS_ERRORS[data.Error]);
+          els.alias.focus();
         } else {
           alert(dict.error + (data.Message || 'Unknown error'));
         }
       } catch (err) {
         alert(I18N[currentLang].networkError + err.message);
       } finally {
+        // Turnstile token 只能使用一次
+        if (CHALLENGE_MODE === 'turnstile' && window.turnstile) turnstile.reset();
         els.submitBtn.disabled = false;
         els.btnText.style.display = 'inline-block';
         els.btnSpinner.style.display = 'none';
       }
     });
 
+    // --- QR Code ---
+    function showQr(code) {
+      const base = '/' + encodeURIComponent(code) + '.qr';
+      els.qrImg.src = base + '?size=320';
+      els.qrSvg.href = base + '?format=svg&size=1024';
+      els.qrSvg.download = code + '.svg';
+      els.qrPng.href = base + '?format=png&size=1024';
+      els.qrPng.download = code + '.png';
+    }
+
     // --- Copy ---
     els.copyBtn.addEventListener('click', () => {
       const text = els.shortUrlDisplay.textContent;
@@ -961,7 +5637,433 @@ function landingHtml(env) {
         els.toast.classList.add('show');
         setTimeout(() => els.toast.classList.remove('show'), 2000);
     }
-  </script>
-</body>
-</html>`;
+`,
+  });
+}
+
+// 410 Gone：短链已过期或点击次数已用完
+function goneHtml(env, reason) {
+  const descKey = { exhausted: "goneExhausted", disabled: "goneDisabled" }[reason] || "goneExpired";
+
+  return pageShell(env, {
+    body: `
+  <div class="container">
+    <div class="header">
+      <span class="icon">⌛</span>
+      <h1 data-i18n="goneTitle">Link Unavailable</h1>
+      <p class="desc" data-i18n="${descKey}"></p>
+    </div>
+
+    <a href="/" class="primary-btn" data-i18n="goHome">Create a short link</a>
+${FOOTER_HTML}
+  </div>`,
+  });
+}
+
+// 密码保护短链的输入页；errorKey 为 pwdWrong / pwdLocked
+function passwordHtml(env, errorKey) {
+  const error = errorKey ? `
+        <div class="field-error show" data-i18n="${errorKey}"></div>` : "";
+
+  return pageShell(env, {
+    body: `
+  <div class="container">
+    <div class="header">
+      <span class="icon">🔒</span>
+      <h1 data-i18n="pwdTitle">Password Required</h1>
+      <p class="desc" data-i18n="pwdDesc"></p>
+    </div>
+
+    <form method="POST">
+      <div class="input-group">
+        <label for="password" data-i18n="pwdLabel">Password</label>
+        <input type="password" id="password" name="password" maxlength="128" required autofocus>${error}
+      </div>
+
+      <button type="submit" class="primary-btn" data-i18n="pwdBtn">Continue</button>
+    </form>
+${FOOTER_HTML}
+  </div>`,
+  });
+}
+
+// 跳转预览页；clicks 为 null 表示未统计点击数。密码保护的短链不显示目标地址
+// target 为透传参数后的实际目标地址，next 为“继续”要访问的地址
+function previewHtml(env, link, clicks, target, next) {
+  const locked = !!link.pwd;
+  let host = "";
+  try {
+    host = new URL(target).host;
+  } catch {}
+
+  const row = (key, value) => `
+      <dt data-i18n="${key}"></dt>
+      <dd>${value}</dd>`;
+  const rows = [
+    link.title ? row("previewTitleLabel", escapeHtml(link.title)) : "",
+    row("previewDest", locked ? `<span data-i18n="previewHidden"></span>` : `<span class="preview-url">${escapeHtml(target)}</span>`),
+    locked ? "" : row("previewHost", escapeHtml(host)),
+    row("previewCreated", `<span data-ts="${link.createdAt || 0}"></span>`),
+    row("previewClicks", clicks === null ? `<span data-i18n="previewNotTracked"></span>` : String(clicks)),
+  ].join("");
+
+  // 密码保护的短链跳到密码页；其余以 POST 确认，避免再次进入强制预览
+  const action = locked
+    ? `<a href="${escapeHtml(next)}" class="primary-btn" data-i18n="previewContinue">Continue</a>`
+    : `<form method="POST" action="${escapeHtml(next)}">
+      <button type="submit" class="primary-btn" data-i18n="previewContinue">Continue</button>
+    </form>`;
+
+  return pageShell(env, {
+    body: `
+  <div class="container">
+    <div class="header">
+      <span class="icon">🔍</span>
+      <h1 data-i18n="previewTitle">Link Preview</h1>
+      <p class="desc" data-i18n="previewDesc"></p>
+    </div>
+
+    <dl class="preview-list">${rows}
+    </dl>
+
+    ${action}
+${FOOTER_HTML}
+  </div>`,
+    script: `
+    // 创建时间按当前语言格式化
+    onLang((dict) => {
+      document.querySelectorAll('[data-ts]').forEach((el) => {
+        const ts = Number(el.dataset.ts);
+        el.textContent = ts ? new Date(ts * 1000).toLocaleString(currentLang) : dict.previewUnknown;
+      });
+    });
+`,
+  });
+}
+
+// 管理后台登录页；errorKey 为 adminLoginWrong / pwdLocked
+function adminLoginHtml(env, errorKey) {
+  const error = errorKey ? `
+        <div class="field-error show" data-i18n="${errorKey}"></div>` : "";
+
+  return pageShell(env, {
+    body: `
+  <div class="container">
+    <div class="header">
+      <span class="icon">🛠️</span>
+      <h1 data-i18n="adminTitle">Admin Dashboard</h1>
+      <p class="desc" data-i18n="adminLoginDesc"></p>
+    </div>
+
+    <form method="POST" action="/admin/login">
+      <div class="input-group">
+        <label for="token" data-i18n="adminLoginLabel">Admin token or passphrase</label>
+        <input type="password" id="token" name="token" autocomplete="current-password" required autofocus>${error}
+      </div>
+
+      <button type="submit" class="primary-btn" data-i18n="adminLoginBtn">Sign in</button>
+    </form>
+${FOOTER_HTML}
+  </div>`,
+  });
+}
+
+// 管理后台：数据全部通过 /api/links 读写，会话 Cookie 代替 Bearer 令牌
+function adminHtml(env) {
+  return pageShell(env, {
+    body: `
+  <div class="container wide">
+    <div class="header">
+      <span class="icon">🛠️</span>
+      <h1 data-i18n="adminTitle">Admin Dashboard</h1>
+    </div>
+
+    <div class="admin-bar">
+      <form id="searchForm">
+        <input type="text" id="search" data-i18n-placeholder="adminSearch" autocomplete="off" spellcheck="false">
+        <button type="submit" class="copy-btn" data-i18n="adminSearchBtn">Search</button>
+      </form>
+      <button type="button" class="copy-btn" id="exportBtn" data-i18n="adminExport">Export CSV</button>
+      <form method="POST" action="/admin/logout">
+        <button type="submit" class="copy-btn" data-i18n="adminLogout">Sign out</button>
+      </form>
+    </div>
+
+    <table class="admin-table">
+      <thead>
+        <tr>
+          <th class="col-code" data-i18n="adminColCode">Code</th>
+          <th data-i18n="adminColDest">Destination</th>
+          <th class="col-created" data-i18n="adminColCreated">Created</th>
+          <th class="col-status" data-i18n="adminColStatus">Status</th>
+        </tr>
+      </thead>
+      <tbody id="rows"></tbody>
+    </table>
+    <div class="admin-empty" id="empty" data-i18n="adminEmpty" style="display:none">No links found</div>
+    <div class="admin-more"><button type="button" class="copy-btn" id="moreBtn" data-i18n="adminLoadMore" style="display:none">Load more</button></div>
+
+    <div class="admin-detail" id="detail">
+      <h2><a id="detailCode" target="_blank" rel="noopener"></a><button type="button" class="copy-btn" id="closeBtn" data-i18n="adminClose">Close</button></h2>
+      <div class="input-group">
+        <label for="destInput" data-i18n="adminDestLabel">Destination</label>
+        <input type="url" id="destInput" maxlength="8192" spellcheck="false">
+        <div class="field-error" id="destError"></div>
+      </div>
+      <div class="admin-actions">
+        <button type="button" class="copy-btn" id="saveBtn" data-i18n="adminSave">Save</button>
+        <button type="button" class="copy-btn" id="toggleBtn"></button>
+        <button type="button" class="copy-btn danger" id="deleteBtn" data-i18n="adminDelete">Delete</button>
+      </div>
+      <div class="result-label"><span data-i18n="adminClicks">Clicks in the last 30 days: </span><span id="clickTotal"></span></div>
+      <div class="chart" id="chart"></div>
+    </div>
+${FOOTER_HTML}
+  </div>
+
+  <div class="toast" id="toast" data-i18n="adminSaved">Saved</div>`,
+    script: `
+    /* --- Admin --- */
+
+    const els = {
+      searchForm: document.getElementById('searchForm'),
+      search: document.getElementById('search'),
+      rows: document.getElementById('rows'),
+      empty: document.getElementById('empty'),
+      moreBtn: document.getElementById('moreBtn'),
+      exportBtn: document.getElementById('exportBtn'),
+      detail: document.getElementById('detail'),
+      detailCode: document.getElementById('detailCode'),
+      destInput: document.getElementById('destInput'),
+      destError: document.getElementById('destError'),
+      saveBtn: document.getElementById('saveBtn'),
+      toggleBtn: document.getElementById('toggleBtn'),
+      deleteBtn: document.getElementById('deleteBtn'),
+      closeBtn: document.getElementById('closeBtn'),
+      clickTotal: document.getElementById('clickTotal'),
+      chart: document.getElementById('chart'),
+      toast: document.getElementById('toast'),
+    };
+
+    // State
+    let query = '';
+    let cursor = null;
+    let selected = null;
+    const STATE_KEYS = { ok: 'adminStateOk', expired: 'adminStateExpired', exhausted: 'adminStateExhausted', disabled: 'adminStateDisabled' };
+
+    // 会话过期时回到登录页；X-Admin-Session 头用于通过服务端的 CSRF 校验
+    async function api(path, opts) {
+      opts = opts || {};
+      const headers = { 'X-Admin-Session': '1' };
+      if (opts.body) headers['Content-Type'] = 'application/json';
+      const res = await fetch(path, { method: opts.method || 'GET', headers, body: opts.body ? JSON.stringify(opts.body) : undefined, credentials: 'same-origin' });
+      if (res.status === 401) {
+        location.reload();
+        throw new Error('Unauthorized');
+      }
+      const data = res.status === 204 ? null : await res.json();
+      if (!res.ok) throw new Error((data && data.message) || res.statusText);
+      return data;
+    }
+
+    function fail(err) {
+      alert(I18N[currentLang].error + err.message);
+    }
+
+    function i18nText(el, key) {
+      el.dataset.i18n = key;
+      el.textContent = I18N[currentLang][key];
+    }
+
+    function fmtTime(ts) {
+      return ts ? new Date(ts * 1000).toLocaleString(currentLang) : '';
+    }
+
+    // 列表只看 flags 与有效期，点击上限是否用完需打开详情（需要额外读取计数）
+    function listState(link) {
+      if (link.flags.disabled) return 'disabled';
+      if (link.expiresAt && link.expiresAt <= Date.now() / 1000) return 'expired';
+      return 'ok';
+    }
+
+    // --- List ---
+    function cell(text, cls) {
+      const td = document.createElement('td');
+      if (cls) td.className = cls;
+      td.textContent = text;
+      td.title = text;
+      return td;
+    }
+
+    function addRow(link) {
+      const tr = document.createElement('tr');
+      tr.dataset.code = link.code;
+      tr.appendChild(cell(link.code, 'col-code'));
+      tr.appendChild(cell(link.title ? link.title + ' — ' + link.url : link.url));
+      const created = cell(fmtTime(link.createdAt));
+      created.dataset.ts = link.createdAt || 0;
+      tr.appendChild(created);
+      const status = cell('');
+      const state = listState(link);
+      i18nText(status, STATE_KEYS[state]);
+      if (state !== 'ok') status.className = 'state-off';
+      tr.appendChild(status);
+      tr.addEventListener('click', () => openDetail(link.code));
+      els.rows.appendChild(tr);
+    }
+
+    // 搜索只在服务端逐页过滤，某一页可能没有匹配项，因此连续翻几页直到有结果
+    async function loadPage(reset) {
+      if (reset) {
+        cursor = null;
+        els.rows.textContent = '';
+      }
+      els.moreBtn.disabled = true;
+      try {
+        let found = 0;
+        for (let i = 0; i < 10; i++) {
+          const params = new URLSearchParams({ limit: '100' });
+          if (query) params.set('q', query);
+          if (cursor) params.set('cursor', cursor);
+          const data = await api('/api/links?' + params);
+          data.links.forEach(addRow);
+          found += data.links.length;
+          cursor = data.cursor;
+          if (found || !cursor) break;
+        }
+      } catch (err) {
+        fail(err);
+      } finally {
+        els.moreBtn.disabled = false;
+        els.moreBtn.style.display = cursor ? 'inline-block' : 'none';
+        els.empty.style.display = els.rows.children.length ? 'none' : 'block';
+      }
+    }
+
+    els.searchForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      query = els.search.value.trim();
+      loadPage(true);
+    });
+    els.moreBtn.addEventListener('click', () => loadPage(false));
+
+    // --- Detail ---
+    async function openDetail(code) {
+      try {
+        const [link, stats] = await Promise.all([
+          api('/api/links/' + encodeURIComponent(code)),
+          api('/api/links/' + encodeURIComponent(code) + '/stats?days=30'),
+        ]);
+        selected = link;
+        els.rows.querySelectorAll('tr').forEach((tr) => tr.classList.toggle('active', tr.dataset.code === code));
+        els.detailCode.textContent = '/' + link.code + ' · ' + I18N[currentLang][STATE_KEYS[link.state]];
+        els.detailCode.href = '/' + encodeURIComponent(link.code) + '+';
+        els.destInput.value = link.url;
+        els.destError.classList.remove('show');
+        i18nText(els.toggleBtn, link.flags.disabled ? 'adminEnable' : 'adminDisable');
+        drawChart(stats);
+        els.detail.classList.add('show');
+        els.detail.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      } catch (err) {
+        fail(err);
+      }
+    }
+
+    // 最近 30 天每日点击数，柱高按最大值缩放
+    function drawChart(stats) {
+      const days = [];
+      for (let i = 29; i >= 0; i--) {
+        const day = new Date(Date.now() - i * 86400000).toISOString().slice(0, 10);
+        days.push([day, stats.byDay[day] || 0]);
+      }
+      const max = Math.max(1, ...days.map((d) => d[1]));
+      els.chart.textContent = '';
+      days.forEach(([day, n]) => {
+        const bar = document.createElement('div');
+        bar.style.height = (n / max) * 100 + '%';
+        bar.title = day + ': ' + n;
+        els.chart.appendChild(bar);
+      });
+      els.clickTotal.textContent = stats.clicks;
+    }
+
+    async function patch(body) {
+      await api('/api/links/' + encodeURIComponent(selected.code), { method: 'PATCH', body });
+      els.toast.classList.add('show');
+      setTimeout(() => els.toast.classList.remove('show'), 2000);
+      await openDetail(selected.code);
+      loadPage(true);
+    }
+
+    els.saveBtn.addEventListener('click', () => {
+      if (!els.destInput.checkValidity() || !els.destInput.value) {
+        els.destError.textContent = I18N[currentLang].error + els.destInput.validationMessage;
+        els.destError.classList.add('show');
+        return;
+      }
+      patch({ url: els.destInput.value }).catch(fail);
+    });
+
+    els.toggleBtn.addEventListener('click', () => {
+      patch({ disabled: !selected.flags.disabled }).catch(fail);
+    });
+
+    els.deleteBtn.addEventListener('click', async () => {
+      if (!confirm(I18N[currentLang].adminDeleteConfirm)) return;
+      try {
+        await api('/api/links/' + encodeURIComponent(selected.code), { method: 'DELETE' });
+        els.detail.classList.remove('show');
+        selected = null;
+        loadPage(true);
+      } catch (err) {
+        fail(err);
+      }
+    });
+
+    els.closeBtn.addEventListener('click', () => els.detail.classList.remove('show'));
+
+    // --- Export ---
+    // 按当前搜索条件翻完所有页，在浏览器里生成 CSV
+    els.exportBtn.addEventListener('click', async () => {
+      els.exportBtn.disabled = true;
+      try {
+        const cols = ['code', 'url', 'title', 'tags', 'createdAt', 'expiresAt', 'maxClicks', 'disabled'];
+        const lines = [cols.join(',')];
+        const quote = (v) => '"' + String(v === null || v === undefined ? '' : v).replace(/"/g, '""') + '"';
+        let next = null;
+        do {
+          const params = new URLSearchParams({ limit: '100' });
+          if (query) params.set('q', query);
+          if (next) params.set('cursor', next);
+          const data = await api('/api/links?' + params);
+          data.links.forEach((l) => {
+            const row = { ...l, tags: l.tags.join(','), disabled: !!l.flags.disabled };
+            lines.push(cols.map((c) => quote(row[c])).join(','));
+          });
+          next = data.cursor;
+        } while (next);
+
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(new Blob([lines.join('\\n') + '\\n'], { type: 'text/csv' }));
+        a.download = 'links.csv';
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(a.href), 0);
+      } catch (err) {
+        fail(err);
+      } finally {
+        els.exportBtn.disabled = false;
+      }
+    });
+
+    // 切换语言时重排时间格式与详情里的状态
+    onLang(() => {
+      document.querySelectorAll('[data-ts]').forEach((el) => {
+        el.textContent = fmtTime(Number(el.dataset.ts));
+      });
+      if (selected) els.detailCode.textContent = '/' + selected.code + ' · ' + I18N[currentLang][STATE_KEYS[selected.state]];
+    });
+
+    loadPage(true);
+`,
+  });
 }